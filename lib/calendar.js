@@ -0,0 +1,114 @@
+/**
+ * NAQSH RESORT - Calendar dates (Asia/Kolkata)
+ *
+ * Stay dates are plain 'YYYY-MM-DD' calendar dates at the resort. They are only turned into
+ * Date objects at UTC midnight, and only read back with UTC getters, so the server's own
+ * timezone never shifts a night. Instants (createdAt, holds) map to a resort date via TIME_ZONE.
+ */
+
+// The resort's calendar: "today", stay nights and monthly reports follow India time,
+// whatever timezone the server itself runs in
+const TIME_ZONE = 'Asia/Kolkata';
+
+const resortDateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const resortTimeFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+// Date at UTC midnight for a real calendar date, or null ('2026-02-30' is not one)
+function parseCalendarDate(dateStr) {
+    if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return null;
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && formatCalendarDate(date) === dateStr ? date : null;
+}
+
+function formatCalendarDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Resort calendar date of an instant (a Date, timestamp or ISO string); defaults to now
+function toResortDate(instant = Date.now()) {
+    return resortDateFormat.format(new Date(instant));
+}
+
+function getResortToday() {
+    return toResortDate();
+}
+
+// Timestamp of a resort wall-clock time ('HH:MM') on a calendar date, e.g. check-in at noon
+function toResortInstant(dateStr, time) {
+    const asUtc = Date.parse(`${dateStr}T${time}:00Z`);
+    const parts = Object.fromEntries(resortTimeFormat.formatToParts(asUtc).map(part => [part.type, part.value]));
+    const resortAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - (resortAsUtc - asUtc);
+}
+
+function addDays(dateStr, days) {
+    const date = parseCalendarDate(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatCalendarDate(date);
+}
+
+// Whole days from one calendar date to another (negative if `to` is earlier)
+function daysBetween(from, to) {
+    return Math.round((parseCalendarDate(to) - parseCalendarDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+// 0 = Sunday ... 6 = Saturday
+function getDayOfWeek(dateStr) {
+    return parseCalendarDate(dateStr).getUTCDay();
+}
+
+// Friday and Saturday nights are charged weekend rates
+function isWeekendNight(dateStr) {
+    const day = getDayOfWeek(dateStr);
+    return day === 5 || day === 6;
+}
+
+// 'YYYY-MM' of a calendar date
+function getMonthKey(dateStr) {
+    return dateStr.slice(0, 7);
+}
+
+// First day of the month after a 'YYYY-MM' month
+function getNextMonthStart(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return formatCalendarDate(new Date(Date.UTC(year, month, 1)));
+}
+
+// Nights of a stay: checkIn up to, but not including, checkOut
+function getStayDates(checkIn, checkOut) {
+    const dates = [];
+    for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+module.exports = {
+    TIME_ZONE,
+    parseCalendarDate,
+    formatCalendarDate,
+    toResortDate,
+    getResortToday,
+    toResortInstant,
+    addDays,
+    daysBetween,
+    getDayOfWeek,
+    isWeekendNight,
+    getMonthKey,
+    getNextMonthStart,
+    getStayDates
+};
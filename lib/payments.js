@@ -0,0 +1,80 @@
+/**
+ * NAQSH RESORT - Payments and cancellation refunds
+ *
+ * What a booking's guest has paid, from its payments ledger, and what cancelling it refunds
+ * under the rate sheet's cancellation policy.
+ */
+
+const { toResortInstant } = require('./calendar');
+const { CHECK_IN_TIME, DEFAULT_PRICING } = require('./resort');
+const { getPricing } = require('./pricing');
+
+// ============================================
+// PAYMENTS LEDGER
+// ============================================
+// Each booking keeps a ledger in booking.payments:
+//   { id, type: 'payment' | 'refund', amount, method, reference?, note?, at, by }
+// Entries are never edited; a mistake is put right with a refund or a further payment.
+// booking.amountPaid is kept as the ledger's net total.
+
+function getPaymentLedger(booking) {
+    if (booking.payments) return booking.payments;
+    // Bookings from before the ledger only have a running amountPaid
+    return booking.amountPaid ? [{
+        id: 'OPENING',
+        type: 'payment',
+        amount: booking.amountPaid,
+        method: null,
+        note: 'Paid before the payments ledger',
+        at: booking.updatedAt || booking.createdAt,
+        by: booking.updatedBy || 'admin'
+    }] : [];
+}
+
+function getAmountPaid(booking) {
+    return getPaymentLedger(booking).reduce((sum, entry) => sum + (entry.type === 'refund' ? -entry.amount : entry.amount), 0);
+}
+
+// ============================================
+// CANCELLATION & REFUNDS
+// ============================================
+// The policy is part of the rate sheet, so the public policy page (GET /api/pricing) and the
+// refund worked out here always agree. A cancelled booking keeps its refund in booking.refund.
+
+function getCancellationPolicy() {
+    return getPricing().cancellationPolicy || DEFAULT_PRICING.cancellationPolicy;
+}
+
+// '7 days' for whole days, otherwise '36 hours'
+function formatNotice(hours) {
+    if (hours > 0 && hours % 24 === 0) return `${hours / 24} day${hours === 24 ? '' : 's'}`;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// What cancelling at `cancelledAt` refunds of the amount paid so far
+function calculateRefund(booking, cancelledAt = Date.now()) {
+    const checkInAt = toResortInstant(booking.checkIn, CHECK_IN_TIME);
+    const noticeHours = Math.max(0, Math.floor((checkInAt - cancelledAt) / (60 * 60 * 1000)));
+    const tier = getCancellationPolicy().find(t => noticeHours >= t.minHoursBefore);
+    const percent = tier ? tier.refundPercent : 0;
+    const amountPaid = getAmountPaid(booking);
+    
+    return {
+        amountPaid,
+        percent,
+        amount: Math.round(amountPaid * percent / 100),
+        noticeHours,
+        rule: tier
+            ? `${percent}% refund with ${formatNotice(tier.minHoursBefore)} or more notice`
+            : 'No refund this close to check-in',
+        calculatedAt: new Date(cancelledAt).toISOString()
+    };
+}
+
+module.exports = {
+    getPaymentLedger,
+    getAmountPaid,
+    getCancellationPolicy,
+    formatNotice,
+    calculateRefund
+};
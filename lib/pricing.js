@@ -0,0 +1,511 @@
+/**
+ * NAQSH RESORT - Price calculation
+ *
+ * Rates (seasons, date overrides, group packages), stay rules, occupancy charges, add-ons,
+ * length-of-stay discounts and tax, worked out from the current rate sheet. Shared by
+ * server-secure.js and server.js so both quote the same price for the same stay.
+ */
+
+const { parseCalendarDate, getDayOfWeek, isWeekendNight, getStayDates } = require('./calendar');
+const { ROOMS, GROUP_OCCASIONS, DEFAULT_PRICING } = require('./resort');
+
+// ============================================
+// RATE SHEET
+// ============================================
+// Held here so pricing stays synchronous. server-secure.js sets it from its rate store;
+// server.js sets it from data/rates.json before each quote.
+let currentPricing = null;
+
+function setPricing(pricing) {
+    currentPricing = pricing;
+}
+
+function getPricing() {
+    return currentPricing || DEFAULT_PRICING;
+}
+
+const isDate = value => parseCalendarDate(value) !== null;
+
+// ============================================
+// NIGHTLY RATES & STAY RULES
+// ============================================
+// Stay rules that cover a date: inside the rule's range and, if it lists days, on one of them
+function getRestrictionsOn(dateStr) {
+    const dayOfWeek = getDayOfWeek(dateStr);
+    return (getPricing().restrictions || []).filter(rule =>
+        rule.startDate <= dateStr && dateStr <= rule.endDate &&
+        (rule.days.length === 0 || rule.days.includes(dayOfWeek))
+    );
+}
+
+function formatStayDate(dateStr) {
+    return parseCalendarDate(dateStr).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+// Returns null when the stay is allowed, otherwise { error, restriction } with a guest-facing message.
+// A minimum stay applies when any night of the stay is covered by the rule.
+function checkStayRestrictions(checkIn, checkOut) {
+    const noArrival = getRestrictionsOn(checkIn).find(rule => rule.closedToArrival);
+    if (noArrival) {
+        return {
+            error: `Check-in is not available on ${formatStayDate(checkIn)} (${noArrival.name}). Please choose another arrival date.`,
+            restriction: { type: 'closedToArrival', date: checkIn, rule: noArrival.name }
+        };
+    }
+    
+    const noDeparture = getRestrictionsOn(checkOut).find(rule => rule.closedToDeparture);
+    if (noDeparture) {
+        return {
+            error: `Check-out is not available on ${formatStayDate(checkOut)} (${noDeparture.name}). Please choose another departure date.`,
+            restriction: { type: 'closedToDeparture', date: checkOut, rule: noDeparture.name }
+        };
+    }
+    
+    const nights = getStayDates(checkIn, checkOut);
+    let longest = null;
+    for (const date of nights) {
+        for (const rule of getRestrictionsOn(date)) {
+            if (rule.minNights && (!longest || rule.minNights > longest.minNights)) longest = rule;
+        }
+    }
+    if (longest && nights.length < longest.minNights) {
+        return {
+            error: `Stays over ${longest.name} need at least ${longest.minNights} nights. Please extend your stay.`,
+            restriction: { type: 'minNights', minNights: longest.minNights, rule: longest.name }
+        };
+    }
+    
+    return null;
+}
+
+// Rate sheets saved before group packages existed had one flat group rate for every group size
+function getGroupPackages() {
+    const group = getPricing().group;
+    if (group.packages) return group.packages;
+    return [{
+        id: 'FULL',
+        name: 'Full Resort',
+        minGuests: 1,
+        maxGuests: group.maxGuests,
+        rate: group.rate,
+        inclusions: (group.inclusions || '').split(',').map(name => name.trim()).filter(Boolean).map(name => ({ name }))
+    }];
+}
+
+function findGroupPackage(guests) {
+    return getGroupPackages().find(pkg => guests >= pkg.minGuests && guests <= pkg.maxGuests) || null;
+}
+
+// Itemised add-on lines for a group quote. Returns { items } or { error }.
+function priceGroupAddOns(addOnIds, occasion, nights) {
+    const catalog = getPricing().group.addOns || [];
+    const items = [];
+    
+    for (const id of addOnIds) {
+        const addOn = catalog.find(a => a.id === id);
+        if (!addOn) return { error: `Unknown add-on: ${id}` };
+        if (addOn.occasions.length > 0 && !addOn.occasions.includes(occasion)) {
+            return { error: `${addOn.name} is only available for ${addOn.occasions.join(', ')} bookings` };
+        }
+        const quantity = addOn.per === 'night' ? nights : 1;
+        items.push({ type: 'addOn', id: addOn.id, label: addOn.name, quantity, unitPrice: addOn.price, amount: quantity * addOn.price });
+    }
+    return { items };
+}
+
+const EXTRA_PRICED_PER = ['unit', 'person', 'night'];
+
+// Prices the add-ons picked for a stay. A per-night add-on runs every night of the stay; the
+// others happen on one date (check-in by default) between check-in and check-out.
+// Each line keeps its dates so its daily capacity can be counted. Returns { extras } or { error }.
+function priceExtras(selections, checkIn, checkOut, guests) {
+    const catalog = getPricing().extras || [];
+    const extras = [];
+    
+    for (const selection of selections) {
+        const extra = catalog.find(e => e.id === selection.id);
+        if (!extra) return { error: `Unknown add-on: ${selection.id}` };
+        if (extras.some(other => other.id === extra.id)) return { error: `${extra.name} is listed twice` };
+        if (extra.per === 'person' && selection.quantity > guests) {
+            return { error: `${extra.name}: at most ${guests} ${guests === 1 ? 'person' : 'people'} for this stay` };
+        }
+        
+        let dates;
+        if (extra.per === 'night') {
+            dates = getStayDates(checkIn, checkOut);
+        } else {
+            const date = selection.date || checkIn;
+            if (!isDate(date) || date < checkIn || date > checkOut) {
+                return { error: `${extra.name}: date must be between check-in and check-out` };
+            }
+            dates = [date];
+        }
+        
+        extras.push({
+            id: extra.id,
+            name: extra.name,
+            per: extra.per,
+            quantity: selection.quantity,
+            dates,
+            unitPrice: extra.price,
+            amount: extra.price * selection.quantity * dates.length
+        });
+    }
+    return { extras };
+}
+
+// A package rate at a season's or override's groupPercent; null when it sets none
+function scaleGroupRate(groupRate, groupPercent) {
+    return groupPercent ? Math.round(groupRate * groupPercent / 100) : null;
+}
+
+// Picks one night's rate: a date override beats a season, which beats the base weekday/weekend rate.
+// Pass roomType null and the group package's rate as groupRate for the Full Resort; a season or
+// override scales it by its groupPercent, so every package keeps its own price.
+function getNightlyRate(dateStr, isWeekend, roomType, mealPlan, groupRate) {
+    const pricing = getPricing();
+    const planKey = mealPlan === 'MAPAI' ? 'mapai' : 'ep';
+    const dayType = isWeekend ? 'weekend' : 'weekday';
+    
+    const override = (pricing.overrides || []).find(o => o.date === dateStr);
+    if (override) {
+        const rate = roomType ? override.rooms[roomType] && override.rooms[roomType][planKey] : scaleGroupRate(groupRate, override.groupPercent);
+        if (rate) return { rate, rateType: 'override', label: override.name };
+    }
+    
+    const season = (pricing.seasons || []).find(ss => ss.startDate <= dateStr && dateStr <= ss.endDate);
+    if (season) {
+        const rate = roomType ? season.rooms[roomType] && season.rooms[roomType][dayType][planKey] : scaleGroupRate(groupRate, season.groupPercent);
+        if (rate) return { rate, rateType: 'season', label: season.name };
+    }
+    
+    const rate = roomType ? pricing.rooms[roomType][dayType][planKey] : groupRate;
+    return { rate, rateType: 'base', label: isWeekend ? 'Weekend' : 'Weekday' };
+}
+
+// Rate sheets saved before occupancy rules existed: maxGuests is both the base and the cap
+function getOccupancyRules(room) {
+    return {
+        maxGuests: room.maxGuests,
+        baseOccupancy: room.baseOccupancy || room.maxGuests,
+        maxAdults: room.maxAdults || room.maxGuests,
+        maxChildren: room.maxChildren !== undefined ? room.maxChildren : room.maxGuests,
+        extraAdult: room.extraAdult || { ep: 0, mapai: 0 },
+        extraChild: room.extraChild || { ep: 0, mapai: 0 }
+    };
+}
+
+// Checks a party against a room's capacity and counts who is beyond the base occupancy.
+// Adults take the base places first, so children only pay extra once those are used up.
+function applyOccupancy(roomType, party) {
+    const rules = getOccupancyRules(getPricing().rooms[roomType]);
+    const { adults, children } = party;
+    
+    if (adults > rules.maxAdults) {
+        return { error: `${roomType} allows at most ${rules.maxAdults} ${rules.maxAdults === 1 ? 'adult' : 'adults'}` };
+    }
+    if (children > rules.maxChildren) {
+        return { error: rules.maxChildren === 0 ? `${roomType} does not take children` : `${roomType} allows at most ${rules.maxChildren} ${rules.maxChildren === 1 ? 'child' : 'children'}` };
+    }
+    if (adults + children > rules.maxGuests) return { error: `${roomType} sleeps at most ${rules.maxGuests} guests` };
+    
+    const extraAdults = Math.max(0, adults - rules.baseOccupancy);
+    const extraChildren = Math.max(0, children - Math.max(0, rules.baseOccupancy - adults));
+    return { rules, extraAdults, extraChildren };
+}
+
+// party is { adults, children }; for the Full Resort only the head count matters, and
+// groupOptions { occasion, addOns: [ids] } picks optional add-ons for the group quote
+function calculatePrice(checkIn, checkOut, roomType, mealPlan, isGroupBooking, party = { adults: 2, children: 0 }, groupOptions = {}) {
+    if (!isDate(checkIn) || !isDate(checkOut)) {
+        return { error: 'Invalid dates' };
+    }
+    
+    if (checkIn >= checkOut) {
+        return { error: 'Check-out must be after check-in' };
+    }
+    
+    const restricted = checkStayRestrictions(checkIn, checkOut);
+    if (restricted) return restricted;
+    
+    let occupancy = null;
+    let groupPackage = null;
+    if (isGroupBooking) {
+        const guests = party.adults + party.children;
+        const maxGuests = getPricing().group.maxGuests;
+        if (guests > maxGuests) {
+            return { error: `The full resort hosts at most ${maxGuests} guests` };
+        }
+        groupPackage = findGroupPackage(guests);
+        if (!groupPackage) return { error: `We don't have a group package for ${guests} guests` };
+        if (groupOptions.occasion && !GROUP_OCCASIONS.includes(groupOptions.occasion)) {
+            return { error: `Unknown occasion: ${groupOptions.occasion}` };
+        }
+    } else {
+        if (!getPricing().rooms[roomType]) {
+            return { error: `Invalid room type: ${roomType}` };
+        }
+        occupancy = applyOccupancy(roomType, party);
+        if (occupancy.error) return occupancy;
+    }
+    const planKey = mealPlan === 'MAPAI' ? 'mapai' : 'ep';
+    
+    let total = 0;
+    const breakdown = [];
+    
+    for (const dateStr of getStayDates(checkIn, checkOut)) {
+        const isWeekend = isWeekendNight(dateStr);
+        
+        const night = getNightlyRate(dateStr, isWeekend, isGroupBooking ? null : roomType, mealPlan, groupPackage && groupPackage.rate);
+        const extraGuestCharge = occupancy
+            ? occupancy.extraAdults * occupancy.rules.extraAdult[planKey] + occupancy.extraChildren * occupancy.rules.extraChild[planKey]
+            : 0;
+        
+        total += night.rate + extraGuestCharge;
+        breakdown.push({
+            date: dateStr,
+            isWeekend,
+            rate: night.rate + extraGuestCharge,
+            rateType: night.rateType,
+            label: night.label,
+            ...(extraGuestCharge ? { roomRate: night.rate, extraGuestCharge } : {})
+        });
+    }
+    
+    // Group quotes are itemised: the package for the stay, then each add-on
+    let groupQuote = {};
+    if (groupPackage) {
+        const addOns = priceGroupAddOns(groupOptions.addOns || [], groupOptions.occasion, breakdown.length);
+        if (addOns.error) return addOns;
+        
+        const items = [
+            { type: 'package', id: groupPackage.id, label: `${groupPackage.name} package`, quantity: breakdown.length, amount: total },
+            ...addOns.items
+        ];
+        total = items.reduce((sum, item) => sum + item.amount, 0);
+        groupQuote = {
+            package: { id: groupPackage.id, name: groupPackage.name, minGuests: groupPackage.minGuests, maxGuests: groupPackage.maxGuests, inclusions: groupPackage.inclusions },
+            items,
+            ...(groupOptions.occasion ? { occasion: groupOptions.occasion } : {})
+        };
+    }
+    
+    return {
+        total,
+        nights: breakdown.length,
+        breakdown,
+        roomType: isGroupBooking ? 'Full Resort' : roomType,
+        mealPlan: isGroupBooking ? 'Included' : mealPlan,
+        ...(occupancy ? { extraAdults: occupancy.extraAdults, extraChildren: occupancy.extraChildren } : {}),
+        ...groupQuote
+    };
+}
+
+// ============================================
+// STAYS
+// ============================================
+// Lines saved before adults/children were recorded count every guest as an adult
+function getLineParty(line) {
+    return line.adults !== undefined
+        ? { adults: line.adults, children: line.children || 0 }
+        : { adults: line.guests, children: 0 };
+}
+
+// e.g. "2× Deluxe Garden + 1× Family Suite"
+function describeRoomLines(lines) {
+    if (lines.length === 1) return lines[0].roomType;
+    
+    const counts = {};
+    lines.forEach(line => { counts[line.roomType] = (counts[line.roomType] || 0) + 1; });
+    return Object.keys(counts).map(type => `${counts[type]}× ${type}`).join(' + ');
+}
+
+// Prices each room line on its own, then adds the lines up night by night
+function calculateBookingPrice(checkIn, checkOut, lines) {
+    // Checked once up front so a stay rule isn't reported as a problem with "Room 1"
+    const restricted = isDate(checkIn) && isDate(checkOut) && checkIn < checkOut && checkStayRestrictions(checkIn, checkOut);
+    if (restricted) return restricted;
+    
+    let total = 0;
+    const pricedLines = [];
+    const nightly = new Map();
+    
+    for (const line of lines) {
+        const party = getLineParty(line);
+        const result = calculatePrice(checkIn, checkOut, line.roomType, line.mealPlan, false, party);
+        if (result.error) return lines.length > 1 ? { error: `Room ${pricedLines.length + 1}: ${result.error}` } : result;
+        
+        total += result.total;
+        pricedLines.push({
+            roomType: result.roomType,
+            mealPlan: result.mealPlan,
+            guests: party.adults + party.children,
+            adults: party.adults,
+            children: party.children,
+            total: result.total,
+            priceBreakdown: result.breakdown
+        });
+        
+        result.breakdown.forEach(night => {
+            const entry = nightly.get(night.date) || { date: night.date, isWeekend: night.isWeekend, rate: 0, rateType: 'base', label: night.label };
+            entry.rate += night.rate;
+            if (night.extraGuestCharge) entry.extraGuestCharge = (entry.extraGuestCharge || 0) + night.extraGuestCharge;
+            // A night shows the season/override label if any of its rooms were priced by one
+            if (entry.rateType === 'base' && night.rateType !== 'base') {
+                entry.rateType = night.rateType;
+                entry.label = night.label;
+            }
+            nightly.set(night.date, entry);
+        });
+    }
+    
+    const mealPlans = [...new Set(pricedLines.map(line => line.mealPlan))];
+    
+    return {
+        total,
+        nights: nightly.size,
+        breakdown: [...nightly.values()],
+        roomType: describeRoomLines(pricedLines),
+        mealPlan: mealPlans.length === 1 ? mealPlans[0] : 'Mixed',
+        lines: pricedLines
+    };
+}
+
+// Prices a stay { checkIn, checkOut, isGroupBooking, lines, guests, extras, occasion?, addOns? }
+// with its add-ons and length-of-stay discount, before promo codes and tax. Returns the quote or { error }.
+function priceStay(stay) {
+    const result = stay.isGroupBooking
+        ? calculatePrice(stay.checkIn, stay.checkOut, 'Full Resort', 'Included', true, { adults: stay.guests, children: 0 }, { occasion: stay.occasion, addOns: stay.addOns })
+        : calculateBookingPrice(stay.checkIn, stay.checkOut, stay.lines);
+    if (result.error) return result;
+    
+    const guests = stay.isGroupBooking ? stay.guests : stay.lines.reduce((sum, line) => sum + line.guests, 0);
+    const priced = priceExtras(stay.extras || [], stay.checkIn, stay.checkOut, guests);
+    if (priced.error) return priced;
+    
+    const withExtras = priced.extras.length === 0 ? result : {
+        ...result,
+        total: result.total + priced.extras.reduce((sum, extra) => sum + extra.amount, 0),
+        extras: priced.extras
+    };
+    return applyLengthOfStayDiscount(withExtras);
+}
+
+// Best length-of-stay tier the stay reaches, as a discount line (before promo codes and tax)
+function applyLengthOfStayDiscount(priceResult) {
+    const tier = (getPricing().lengthOfStayDiscounts || [])
+        .filter(t => priceResult.nights >= t.minNights)
+        .pop();
+    if (!tier) return priceResult;
+    
+    return addAdjustment(priceResult, {
+        type: 'lengthOfStay',
+        label: `${tier.minNights}+ nights (${tier.percent}% off)`,
+        amount: -Math.round(priceResult.total * tier.percent / 100)
+    });
+}
+
+// Adds a line that is not a night (a discount, a tax...) to a price result.
+// total is always subtotal (the nightly sum) plus every adjustment.
+function addAdjustment(priceResult, adjustment) {
+    const subtotal = priceResult.subtotal !== undefined ? priceResult.subtotal : priceResult.total;
+    const adjustments = [...(priceResult.adjustments || []), adjustment];
+    return {
+        ...priceResult,
+        subtotal,
+        adjustments,
+        total: subtotal + adjustments.reduce((sum, a) => sum + a.amount, 0)
+    };
+}
+
+// ============================================
+// TAX
+// ============================================
+function getTaxRules() {
+    return getPricing().tax || DEFAULT_PRICING.tax;
+}
+
+function getTaxSlab(tariff) {
+    return getTaxRules().slabs.find(slab => slab.upTo === null || tariff <= slab.upTo);
+}
+
+// Adds tax to a finished quote (after any discounts). GST is charged per room per night at the
+// slab for that room-night's tariff; discounts are shared across nights in proportion to their price.
+// The Full Resort rate is split across every room to find its slab. Group add-ons and bookable
+// extras pay the services rate.
+// Returns the quote with baseAmount (pre-tax), taxAmount, taxLines and one adjustment per tax rate.
+function applyTax(priceResult) {
+    const roomNights = priceResult.lines
+        ? priceResult.lines.flatMap(line => line.priceBreakdown.map(night => ({ date: night.date, roomType: line.roomType, amount: night.rate, units: 1 })))
+        : priceResult.breakdown.map(night => ({ date: night.date, roomType: 'Full Resort', amount: night.rate, units: ROOMS.length }));
+    
+    const subtotal = priceResult.subtotal !== undefined ? priceResult.subtotal : priceResult.total;
+    const discount = (priceResult.adjustments || []).filter(a => a.amount < 0).reduce((sum, a) => sum - a.amount, 0);
+    const share = subtotal > 0 ? (subtotal - discount) / subtotal : 0;
+    const taxName = getTaxRules().name;
+    
+    const taxLines = roomNights.map(item => {
+        const taxableValue = Math.round(item.amount * share);
+        const tariff = Math.round(taxableValue / item.units);
+        const rate = getTaxSlab(tariff).rate;
+        return {
+            date: item.date,
+            roomType: item.roomType,
+            tariff,
+            taxableValue,
+            rate,
+            tax: Math.round(taxableValue * rate / 100)
+        };
+    });
+    
+    const servicesRate = getTaxRules().servicesRate || 0;
+    (priceResult.items || []).filter(item => item.type === 'addOn').forEach(item => {
+        const taxableValue = Math.round(item.amount * share);
+        taxLines.push({
+            addOn: item.id,
+            label: item.label,
+            taxableValue,
+            rate: servicesRate,
+            tax: Math.round(taxableValue * servicesRate / 100)
+        });
+    });
+    (priceResult.extras || []).forEach(extra => {
+        const taxableValue = Math.round(extra.amount * share);
+        taxLines.push({
+            extra: extra.id,
+            label: extra.name,
+            taxableValue,
+            rate: servicesRate,
+            tax: Math.round(taxableValue * servicesRate / 100)
+        });
+    });
+    
+    const baseAmount = priceResult.total;
+    let quote = { ...priceResult };
+    const rates = [...new Set(taxLines.map(line => line.rate))].filter(rate => rate > 0).sort((a, b) => a - b);
+    for (const rate of rates) {
+        const amount = taxLines.filter(line => line.rate === rate).reduce((sum, line) => sum + line.tax, 0);
+        quote = addAdjustment(quote, { type: 'tax', label: `${taxName} @ ${rate}%`, rate, amount });
+    }
+    
+    return {
+        ...quote,
+        baseAmount,
+        taxAmount: quote.total - baseAmount,
+        taxLines
+    };
+}
+
+module.exports = {
+    setPricing,
+    getPricing,
+    EXTRA_PRICED_PER,
+    getGroupPackages,
+    getLineParty,
+    describeRoomLines,
+    calculatePrice,
+    priceStay,
+    addAdjustment,
+    getTaxRules,
+    applyTax
+};
@@ -0,0 +1,96 @@
+/**
+ * NAQSH RESORT - Promo codes
+ *
+ * Checking a code against a priced stay and counting its uses. Promos live in data.promos;
+ * server-secure.js validates new ones and passes its data in here.
+ */
+
+const { getResortToday, getStayDates } = require('./calendar');
+const { addAdjustment } = require('./pricing');
+
+// A code counts as used by every booking that carries it and has not been cancelled or
+// expired, so a released booking gives its use back.
+const PROMO_RELEASED_STATUSES = ['Cancelled', 'Expired'];
+
+function normalizePromoCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Last 10 digits, so "+91 98765-43210" and "9876543210" are the same guest
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+function getPromoUsage(data, code) {
+    return data.bookings.filter(b => b.promoCode === code && !PROMO_RELEASED_STATUSES.includes(b.status));
+}
+
+// Whether the promo has a use left (overall and for this phone). Returns { error } or null.
+// Checked again when a saved quote is booked, since the quote doesn't hold a use.
+function checkPromoUsage(data, promo, guestPhone) {
+    const usage = getPromoUsage(data, promo.code);
+    if (promo.maxUses && usage.length >= promo.maxUses) return { error: `${promo.code} has been fully redeemed` };
+    if (promo.maxUsesPerPhone && guestPhone) {
+        const phone = normalizePhone(guestPhone);
+        const used = usage.filter(b => normalizePhone(b.guestPhone) === phone).length;
+        if (used >= promo.maxUsesPerPhone) return { error: `${promo.code} has already been used with this phone number` };
+    }
+    return null;
+}
+
+// Validates a promo against a priced stay and returns the quote with the discount line added.
+// guestPhone is optional so the public price preview can check a code before the form is filled in.
+function applyPromoCode(data, rawCode, stay, priceResult, guestPhone) {
+    const code = normalizePromoCode(rawCode);
+    const promo = (data.promos || []).find(p => p.code === code);
+    const today = getResortToday();
+    
+    if (!promo || !promo.active) return { error: code ? `Promo code ${code} is not valid` : 'Promo code is not valid' };
+    if (promo.validFrom && today < promo.validFrom) return { error: `${code} can be used from ${promo.validFrom}` };
+    if (promo.validTo && today > promo.validTo) return { error: `${code} has expired` };
+    
+    // Every night of the stay must fall inside the stay window
+    const lastNight = getStayDates(stay.checkIn, stay.checkOut).pop();
+    if ((promo.stayFrom && stay.checkIn < promo.stayFrom) || (promo.stayTo && lastNight > promo.stayTo)) {
+        const stayWindow = [promo.stayFrom && `from ${promo.stayFrom}`, promo.stayTo && `until ${promo.stayTo}`].filter(Boolean).join(' ');
+        return { error: `${code} is only valid for stays ${stayWindow}` };
+    }
+    if (promo.minNights && priceResult.nights < promo.minNights) {
+        return { error: `${code} needs a stay of at least ${promo.minNights} nights` };
+    }
+    
+    if (promo.roomTypes && promo.roomTypes.length > 0) {
+        const booked = stay.isGroupBooking ? ['Full Resort'] : stay.lines.map(line => line.roomType);
+        if (!booked.every(type => promo.roomTypes.includes(type))) {
+            return { error: `${code} is only valid for ${promo.roomTypes.join(', ')}` };
+        }
+    }
+    
+    const usageError = checkPromoUsage(data, promo, guestPhone);
+    if (usageError) return usageError;
+    
+    const discount = promo.type === 'percent'
+        ? Math.round(priceResult.total * promo.value / 100)
+        : Math.min(promo.value, priceResult.total);
+    
+    return {
+        quote: {
+            ...addAdjustment(priceResult, {
+                type: 'promo',
+                code,
+                label: promo.type === 'percent' ? `${code} (${promo.value}% off)` : `${code} (₹${promo.value.toLocaleString('en-IN')} off)`,
+                amount: -discount
+            }),
+            promoCode: code
+        }
+    };
+}
+
+module.exports = {
+    PROMO_RELEASED_STATUSES,
+    normalizePromoCode,
+    normalizePhone,
+    getPromoUsage,
+    checkPromoUsage,
+    applyPromoCode
+};
@@ -0,0 +1,157 @@
+/**
+ * NAQSH RESORT - What the resort sells
+ *
+ * The physical rooms, check-in time, group occasions and the default rate sheet, shared by
+ * server-secure.js and server.js.
+ */
+
+// Physical room inventory (12 rooms across 3 categories)
+const ROOMS = [
+    { number: '101', category: 'Deluxe Garden' },
+    { number: '102', category: 'Deluxe Garden' },
+    { number: '103', category: 'Deluxe Garden' },
+    { number: '104', category: 'Deluxe Garden' },
+    { number: '201', category: 'Premium Valley' },
+    { number: '202', category: 'Premium Valley' },
+    { number: '203', category: 'Premium Valley' },
+    { number: '204', category: 'Premium Valley' },
+    { number: '301', category: 'Family Suite' },
+    { number: '302', category: 'Family Suite' },
+    { number: '303', category: 'Family Suite' },
+    { number: '304', category: 'Family Suite' }
+];
+
+// Resort check-in time (India time); cancellation notice is counted back from it
+const CHECK_IN_TIME = '12:00';
+
+// Occasions offered on the group booking form; group add-ons can be limited to some of them
+const GROUP_OCCASIONS = ['birthday', 'reunion', 'bachelor', 'corporate', 'family', 'other'];
+
+// Starting rates. server-secure.js writes them to data/rates.json on first run; after that the
+// file is the single source of truth (edit via PUT /api/rates). This is the only copy of the defaults.
+const DEFAULT_PRICING = {
+    // Full Resort packages by guest band, plus optional add-ons (per stay or per night)
+    group: {
+        maxGuests: 30,
+        packages: [
+            {
+                id: 'UPTO15', name: 'Up to 15 guests', minGuests: 1, maxGuests: 15, rate: 45000,
+                inclusions: [
+                    { name: 'All 12 rooms', detail: 'Exclusive use of the whole property' },
+                    { name: 'Bonfire', detail: 'One evening bonfire with seating' },
+                    { name: 'BBQ', detail: 'BBQ setup (food charged separately)' },
+                    { name: 'Music Night', detail: 'Speakers until 10 PM' }
+                ]
+            },
+            {
+                id: 'UPTO20', name: '16-20 guests', minGuests: 16, maxGuests: 20, rate: 50000,
+                inclusions: [
+                    { name: 'All 12 rooms', detail: 'Exclusive use of the whole property' },
+                    { name: 'Bonfire', detail: 'One evening bonfire with seating' },
+                    { name: 'BBQ', detail: 'BBQ setup (food charged separately)' },
+                    { name: 'Music Night', detail: 'Speakers until 10 PM' }
+                ]
+            },
+            {
+                id: 'UPTO25', name: '21-25 guests', minGuests: 21, maxGuests: 25, rate: 55000,
+                inclusions: [
+                    { name: 'All 12 rooms', detail: 'Exclusive use of the whole property' },
+                    { name: 'Bonfire', detail: 'One evening bonfire with seating' },
+                    { name: 'BBQ', detail: 'BBQ setup (food charged separately)' },
+                    { name: 'Music Night', detail: 'Speakers until 10 PM' },
+                    { name: 'Extra mattresses', detail: 'Up to 5' }
+                ]
+            },
+            {
+                id: 'UPTO30', name: '26-30 guests', minGuests: 26, maxGuests: 30, rate: 60000,
+                inclusions: [
+                    { name: 'All 12 rooms', detail: 'Exclusive use of the whole property' },
+                    { name: 'Bonfire', detail: 'One evening bonfire with seating' },
+                    { name: 'BBQ', detail: 'BBQ setup (food charged separately)' },
+                    { name: 'Music Night', detail: 'Speakers until 10 PM' },
+                    { name: 'Extra mattresses', detail: 'Up to 8' }
+                ]
+            }
+        ],
+        addOns: [
+            { id: 'decoration', name: 'Decoration package', price: 8000, per: 'stay', occasions: ['birthday', 'bachelor', 'family', 'reunion'] },
+            { id: 'cake', name: 'Celebration cake (2 kg)', price: 2500, per: 'stay', occasions: ['birthday'] },
+            { id: 'dj', name: 'DJ with sound system', price: 15000, per: 'night', occasions: [] },
+            { id: 'meeting', name: 'Meeting setup (projector, flip charts)', price: 5000, per: 'night', occasions: ['corporate'] }
+        ]
+    },
+    // Bookable extras for any stay. per: 'unit' (e.g. a car), 'person' or 'night' (every night of the stay).
+    // dailyCapacity caps the units/people/nights sold per date across all bookings; null means no limit.
+    extras: [
+        { id: 'pickup', name: 'Rishikesh pickup (sedan, one way)', price: 1800, per: 'unit', dailyCapacity: 4 },
+        { id: 'rafting', name: 'River rafting, Shivpuri 16 km', price: 1200, per: 'person', dailyCapacity: 24 },
+        { id: 'bonfire', name: 'Private bonfire', price: 1500, per: 'night', dailyCapacity: 3 },
+        { id: 'meal', name: 'Extra meal (veg thali)', price: 400, per: 'person', dailyCapacity: null }
+    ],
+    rooms: {
+        "Deluxe Garden": {
+            weekday: { ep: 1700, mapai: 2700 },
+            weekend: { ep: 2200, mapai: 3200 },
+            maxGuests: 3,
+            baseOccupancy: 2,
+            maxAdults: 3,
+            maxChildren: 1,
+            extraAdult: { ep: 800, mapai: 1300 },
+            extraChild: { ep: 500, mapai: 800 }
+        },
+        "Premium Valley": {
+            weekday: { ep: 2000, mapai: 3000 },
+            weekend: { ep: 2600, mapai: 3600 },
+            maxGuests: 3,
+            baseOccupancy: 2,
+            maxAdults: 3,
+            maxChildren: 1,
+            extraAdult: { ep: 800, mapai: 1300 },
+            extraChild: { ep: 500, mapai: 800 }
+        },
+        "Family Suite": {
+            weekday: { ep: 2700, mapai: 4300 },
+            weekend: { ep: 3500, mapai: 5500 },
+            maxGuests: 5,
+            baseOccupancy: 4,
+            maxAdults: 4,
+            maxChildren: 2,
+            extraAdult: { ep: 800, mapai: 1300 },
+            extraChild: { ep: 500, mapai: 800 }
+        }
+    },
+    // Peak-period rates, e.g. { name: 'Diwali', startDate, endDate, rooms: { [category]: { weekday, weekend } }, groupPercent }.
+    // groupPercent prices the Full Resort at that share of each package's own rate (120 = 20% more).
+    seasons: [],
+    // Single-night rates, e.g. { date, name: 'New Year\'s Eve', rooms: { [category]: { ep, mapai } }, groupPercent }
+    overrides: [],
+    // Stay rules by date range (both dates included), optionally only on some weekdays (0 = Sunday).
+    // e.g. { name: 'Diwali weekend', startDate, endDate, days: [6], minNights: 2, closedToArrival: true, closedToDeparture: false }
+    restrictions: [],
+    // Discount for longer stays; the best tier the stay reaches applies, e.g. { minNights: 5, percent: 10 }
+    lengthOfStayDiscounts: [],
+    // GST on accommodation by per-room, per-night tariff. upTo is inclusive; the last slab has no limit.
+    // servicesRate applies to add-ons (decoration, DJ...) rather than the room tariff.
+    tax: {
+        name: 'GST',
+        servicesRate: 18,
+        slabs: [
+            { upTo: 1000, rate: 0 },
+            { upTo: 7500, rate: 5 },
+            { upTo: null, rate: 18 }
+        ]
+    },
+    // Share of the amount paid refunded on cancellation, by hours of notice before check-in.
+    // The first tier the notice reaches applies; less notice than every tier refunds nothing.
+    cancellationPolicy: [
+        { minHoursBefore: 168, refundPercent: 100 },
+        { minHoursBefore: 48, refundPercent: 50 }
+    ]
+};
+
+module.exports = {
+    ROOMS,
+    CHECK_IN_TIME,
+    GROUP_OCCASIONS,
+    DEFAULT_PRICING
+};
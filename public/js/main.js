@@ -101,6 +101,41 @@
         });
     }
 
+    // ==================
+    // CALENDAR DATES (resort time)
+    // ==================
+    // Stay dates are 'YYYY-MM-DD' strings on the resort's calendar (India time, like the server).
+    // Date objects are only made at UTC midnight, so the visitor's own timezone can't move a night.
+    const RESORT_TIME_ZONE = 'Asia/Kolkata';
+    
+    function getResortToday() {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: RESORT_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+    }
+    
+    function addDays(dateStr, days) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+    
+    // Friday and Saturday nights are charged weekend rates
+    function isWeekendNight(dateStr) {
+        const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+        return day === 5 || day === 6;
+    }
+    
+    // Nights of a stay: check-in up to, but not including, check-out
+    function getStayDates(checkinVal, checkoutVal) {
+        const dates = [];
+        for (let date = checkinVal; date < checkoutVal; date = addDays(date, 1)) dates.push(date);
+        return dates;
+    }
+    
+    // e.g. "4 Dec"
+    function formatShortDate(dateStr) {
+        return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    }
+
     // ==================
     // DATE PICKERS - PROPERLY DISABLE PAST DATES
     // ==================
@@ -110,36 +145,25 @@
         
         if (!checkinInput || !checkoutInput) return;
         
-        // Get today's date in YYYY-MM-DD format (local timezone)
-        const today = new Date();
-        const year = today.getFullYear();
-        const month = String(today.getMonth() + 1).padStart(2, '0');
-        const day = String(today.getDate()).padStart(2, '0');
-        const todayStr = `${year}-${month}-${day}`;
+        // Today at the resort, which is what the server checks against
+        const todayStr = getResortToday();
         
         // Set minimum date to TODAY - this disables all past dates
         checkinInput.min = todayStr;
         checkinInput.value = ''; // Clear any preset value
         
         // Set minimum checkout to tomorrow
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        const tomorrowStr = formatDateToInput(tomorrow);
-        checkoutInput.min = tomorrowStr;
+        checkoutInput.min = addDays(todayStr, 1);
         checkoutInput.value = '';
         
         // Update checkout min when checkin changes
         checkinInput.addEventListener("change", function() {
             if (!this.value) return;
             
-            const selectedDate = new Date(this.value);
-            const nextDay = new Date(selectedDate);
-            nextDay.setDate(selectedDate.getDate() + 1);
-            
-            checkoutInput.min = formatDateToInput(nextDay);
+            checkoutInput.min = addDays(this.value, 1);
             
             // Clear checkout if it's before the new minimum
-            if (checkoutInput.value && new Date(checkoutInput.value) <= selectedDate) {
+            if (checkoutInput.value && checkoutInput.value <= this.value) {
                 checkoutInput.value = '';
             }
             
@@ -150,31 +174,62 @@
         
         // Prevent manual entry of past dates
         checkinInput.addEventListener("blur", function() {
-            if (this.value && new Date(this.value) < new Date(todayStr)) {
+            if (this.value && this.value < todayStr) {
                 this.value = todayStr;
                 showToast("Check-in date cannot be in the past", "error");
             }
         });
+        
+        loadAvailability(todayStr);
     }
     
-    function formatDateToInput(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    // ==================
+    // AVAILABILITY CALENDAR
+    // ==================
+    const AVAILABILITY_WINDOW_DAYS = 90;
+    let availabilityByDate = {};
+    
+    async function loadAvailability(fromDate) {
+        const toDate = addDays(fromDate, AVAILABILITY_WINDOW_DAYS);
+        
+        try {
+            const response = await fetch(`/api/availability?from=${fromDate}&to=${toDate}`);
+            const result = await response.json();
+            if (result.success) {
+                availabilityByDate = {};
+                result.calendar.forEach(night => { availabilityByDate[night.date] = night; });
+                updatePricePreview();
+            }
+        } catch (err) {
+            console.warn('Availability fetch failed, server will verify on booking');
+        }
     }
-
+    
+    // Returns the sold-out nights (YYYY-MM-DD) in the selected stay for the current room/mode
+    function findSoldOutNights(checkinVal, checkoutVal) {
+        const modeInput = document.querySelector('input[name="booking-mode"]:checked');
+        const isGroup = modeInput && modeInput.value === "group";
+        const roomSelect = document.getElementById("room-type");
+        const roomKey = roomSelect && roomSelect.value ? roomSelect.value.split(" (")[0] : '';
+        const soldOut = [];
+        
+        if (!isGroup && !roomKey) return soldOut;
+        
+        for (const dateStr of getStayDates(checkinVal, checkoutVal)) {
+            const night = availabilityByDate[dateStr];
+            if (!night) continue; // Outside loaded window - server decides
+            
+            const isFree = isGroup ? night.fullResortAvailable : night.rooms[roomKey] > 0;
+            if (!isFree) soldOut.push(dateStr);
+        }
+        return soldOut;
+    }
+    
     // ==================
     // BOOKING FORM
     // ==================
-    const PRICING = {
-        group: { rate: 60000 },
-        rooms: {
-            "Deluxe Garden": { weekday: { ep: 1700, mapai: 2700 }, weekend: { ep: 2200, mapai: 3200 } },
-            "Premium Valley": { weekday: { ep: 2000, mapai: 3000 }, weekend: { ep: 2600, mapai: 3600 } },
-            "Family Suite": { weekday: { ep: 2700, mapai: 4300 }, weekend: { ep: 3500, mapai: 5500 } }
-        }
-    };
+    // Rates come from the server's rate store (GET /api/pricing)
+    let PRICING = null;
     
     let serverCalculatedPrice = 0;
     let priceDebounceTimer = null;
@@ -190,10 +245,18 @@
         // Other inputs for price update
         const roomSelect = document.getElementById("room-type");
         const guestsSelect = document.getElementById("guests");
+        const childrenSelect = document.getElementById("children");
         const mealInputs = form.querySelectorAll('input[name="meal-plan"]');
         
-        if (roomSelect) roomSelect.addEventListener("change", updatePricePreview);
+        if (roomSelect) roomSelect.addEventListener("change", () => { renderPartyOptions(); updatePricePreview(); });
         if (guestsSelect) guestsSelect.addEventListener("change", updatePricePreview);
+        const groupGuestsSelect = document.getElementById("group-guests");
+        if (groupGuestsSelect) groupGuestsSelect.addEventListener("change", updatePricePreview);
+        if (childrenSelect) childrenSelect.addEventListener("change", updatePricePreview);
+        const promoInput = document.getElementById("promo-code");
+        if (promoInput) promoInput.addEventListener("change", updatePricePreview);
+        const extrasList = document.getElementById("extras-list");
+        if (extrasList) extrasList.addEventListener("change", updatePricePreview);
         mealInputs.forEach(input => input.addEventListener("change", updatePricePreview));
         
         // Form submission - PREVENT DEFAULT COMPLETELY
@@ -201,6 +264,105 @@
         
         // Initialize mode
         toggleGroupMode();
+        loadPricing();
+    }
+    
+    async function loadPricing() {
+        try {
+            const response = await fetch('/api/pricing');
+            const result = await response.json();
+            if (result.success) {
+                PRICING = result.pricing;
+                renderPartyOptions();
+                renderGroupInfo();
+                renderExtras();
+                updatePricePreview();
+            }
+        } catch (err) {
+            console.warn('Pricing fetch failed, waiting for server quote');
+        }
+    }
+    
+    // Fills a select with values, keeping the current choice if it is still offered
+    function fillSelect(select, values, label, fallback) {
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = values.map(value => `<option value="${value}">${escapeHtml(label(value))}</option>`).join('');
+        const keep = values.map(String).includes(current) ? current : String(fallback);
+        if (values.map(String).includes(keep)) select.value = keep;
+    }
+    
+    // Adults and children the chosen room takes (the largest room until one is chosen), and the
+    // group sizes of the Full Resort packages
+    function renderPartyOptions() {
+        if (!PRICING) return;
+        const roomSelect = document.getElementById("room-type");
+        const roomKey = roomSelect && roomSelect.value ? roomSelect.value.split(" (")[0] : '';
+        const rooms = PRICING.rooms[roomKey] ? [PRICING.rooms[roomKey]] : Object.values(PRICING.rooms);
+        const maxAdults = Math.max(...rooms.map(room => room.maxAdults || room.maxGuests));
+        const maxChildren = Math.max(...rooms.map(room => room.maxChildren !== undefined ? room.maxChildren : room.maxGuests));
+        const upTo = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+        
+        fillSelect(document.getElementById("guests"), upTo(1, maxAdults), n => `${n} ${n === 1 ? 'Adult' : 'Adults'}`, Math.min(2, maxAdults));
+        fillSelect(document.getElementById("children"), upTo(0, maxChildren), n => n === 0 ? 'No children' : `${n} ${n === 1 ? 'Child' : 'Children'}`, 0);
+        
+        const packages = PRICING.group.packages || [];
+        const groupSelect = document.getElementById("group-guests");
+        fillSelect(groupSelect, packages.map(pkg => pkg.maxGuests), max => packages.find(pkg => pkg.maxGuests === max).name, packages.length ? packages[0].maxGuests : '');
+    }
+    
+    // Lowest Full Resort package rate for the group mode banner
+    function renderGroupInfo() {
+        const fromPrice = document.getElementById("group-from-price");
+        const packages = PRICING.group.packages || [];
+        if (!fromPrice || !packages.length) return;
+        fromPrice.textContent = `From ₹${Math.min(...packages.map(pkg => pkg.rate)).toLocaleString('en-IN')} per night`;
+    }
+    
+    const EXTRA_UNITS = { unit: 'each', person: 'per person', night: 'per night' };
+    
+    // One row per bookable add-on: a quantity and, unless it runs every night, the date wanted
+    function renderExtras() {
+        const group = document.getElementById("extras-group");
+        const list = document.getElementById("extras-list");
+        if (!group || !list || !PRICING || !(PRICING.extras || []).length) return;
+        
+        list.innerHTML = PRICING.extras.map(extra => `
+            <div class="extra-option">
+                <span class="extra-name">${escapeHtml(extra.name)}<small>₹${extra.price.toLocaleString('en-IN')} ${EXTRA_UNITS[extra.per]}</small></span>
+                <input type="number" min="0" max="50" step="1" value="0" data-extra="${escapeHtml(extra.id)}" aria-label="${escapeHtml(extra.name)} quantity">
+                ${extra.per === 'night' ? '' : `<input type="date" data-extra-date="${escapeHtml(extra.id)}" aria-label="${escapeHtml(extra.name)} date" title="Leave empty for your check-in day">`}
+            </div>
+        `).join('');
+        group.classList.remove("hidden");
+    }
+    
+    // Add-on dates must fall between check-in and check-out
+    function syncExtraDates(checkinVal, checkoutVal) {
+        document.querySelectorAll('[data-extra-date]').forEach(input => {
+            input.min = checkinVal;
+            input.max = checkoutVal;
+            if (input.value && (input.value < checkinVal || input.value > checkoutVal)) input.value = '';
+        });
+    }
+    
+    function getExtraName(id) {
+        const extra = PRICING && (PRICING.extras || []).find(x => x.id === id);
+        return extra ? extra.name : id;
+    }
+    
+    function getExtras() {
+        const extras = [...document.querySelectorAll('[data-extra]')]
+            .map(input => {
+                const dateInput = document.querySelector(`[data-extra-date="${input.dataset.extra}"]`);
+                return {
+                    id: input.dataset.extra,
+                    quantity: parseInt(input.value) || 0,
+                    ...(dateInput && dateInput.value ? { date: dateInput.value } : {})
+                };
+            })
+            .filter(extra => extra.quantity > 0);
+        return extras.length ? extras : undefined;
     }
     
     function toggleGroupMode() {
@@ -211,7 +373,9 @@
         const roomGroup = document.getElementById("room-select-group");
         const mealGroup = document.getElementById("meal-plan-select-group");
         const groupInfo = document.getElementById("group-info");
-        const guestsSelect = document.getElementById("guests");
+        const guestsGroup = document.getElementById("guests-group");
+        const groupGuestsGroup = document.getElementById("group-guests-group");
+        const childrenGroup = document.getElementById("children-select-group");
         
         // Update active class
         document.querySelectorAll('.mode-option').forEach(opt => opt.classList.remove('active'));
@@ -222,11 +386,16 @@
             if (roomGroup) roomGroup.classList.add("hidden");
             if (mealGroup) mealGroup.classList.add("hidden");
             if (groupInfo) groupInfo.classList.remove("hidden");
-            if (guestsSelect) guestsSelect.value = "10";
+            if (childrenGroup) childrenGroup.classList.add("hidden");
+            if (guestsGroup) guestsGroup.classList.add("hidden");
+            if (groupGuestsGroup) groupGuestsGroup.classList.remove("hidden");
         } else {
             if (roomGroup) roomGroup.classList.remove("hidden");
             if (mealGroup) mealGroup.classList.remove("hidden");
             if (groupInfo) groupInfo.classList.add("hidden");
+            if (childrenGroup) childrenGroup.classList.remove("hidden");
+            if (guestsGroup) guestsGroup.classList.remove("hidden");
+            if (groupGuestsGroup) groupGuestsGroup.classList.add("hidden");
         }
         
         updatePricePreview();
@@ -252,20 +421,28 @@
             return;
         }
         
-        const startDate = new Date(checkinVal);
-        const endDate = new Date(checkoutVal);
+        if (checkinVal >= checkoutVal) return;
+        syncExtraDates(checkinVal, checkoutVal);
         
-        if (startDate >= endDate) return;
+        const soldOutNights = findSoldOutNights(checkinVal, checkoutVal);
+        if (soldOutNights.length) {
+            const dates = soldOutNights.map(formatShortDate);
+            if (breakdown) breakdown.innerHTML = `<p class="placeholder-text sold-out-text">Sold out on ${escapeHtml(dates.join(', '))}. Please try other dates.</p>`;
+            if (totalDisplay) totalDisplay.textContent = "₹0";
+            priceSummary.classList.remove("hidden");
+            serverCalculatedPrice = 0;
+            return;
+        }
         
         // Show local preview immediately
-        showLocalPricePreview(startDate, endDate);
+        showLocalPricePreview(checkinVal, checkoutVal);
         
         // Debounce server call
         clearTimeout(priceDebounceTimer);
         priceDebounceTimer = setTimeout(() => fetchServerPrice(checkinVal, checkoutVal), 300);
     }
     
-    function showLocalPricePreview(startDate, endDate) {
+    function showLocalPricePreview(checkinVal, checkoutVal) {
         const modeInput = document.querySelector('input[name="booking-mode"]:checked');
         const isGroup = modeInput && modeInput.value === "group";
         const roomSelect = document.getElementById("room-type");
@@ -274,19 +451,22 @@
         const totalDisplay = document.getElementById("total-amount");
         const priceSummary = document.getElementById("price-summary");
         
+        const groupPackage = isGroup ? findGroupPackage() : null;
+        
         let total = 0;
         let html = `<table class="breakdown-table"><thead><tr><th>Date</th><th>Type</th><th style="text-align:right">Rate</th></tr></thead><tbody>`;
         
-        for (let d = new Date(startDate); d < endDate; d.setDate(d.getDate() + 1)) {
-            const dateStr = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
-            const dayOfWeek = d.getDay();
-            const isWeekend = (dayOfWeek === 5 || dayOfWeek === 6);
+        for (const night of getStayDates(checkinVal, checkoutVal)) {
+            const dateStr = formatShortDate(night);
+            const isWeekend = isWeekendNight(night);
             
             let rate = 0;
             let typeLabel = isWeekend ? '<span class="tag-weekend">Weekend</span>' : '<span class="tag-weekday">Weekday</span>';
             
-            if (isGroup) {
-                rate = PRICING.group.rate;
+            if (!PRICING) {
+                rate = 0;
+            } else if (isGroup) {
+                rate = groupPackage ? groupPackage.rate : 0;
                 typeLabel = '<span class="tag-weekend" style="background:var(--color-accent);color:black">Full Resort</span>';
             } else if (roomSelect && roomSelect.value) {
                 const roomKey = roomSelect.value.split(" (")[0];
@@ -298,14 +478,14 @@
             }
             
             total += rate;
-            const rateStr = rate ? `₹${rate.toLocaleString('en-IN')}` : 'Select Room';
+            const rateStr = rate ? `₹${rate.toLocaleString('en-IN')}` : (PRICING ? 'Select Room' : '...');
             html += `<tr><td>${dateStr}</td><td>${typeLabel}</td><td class="row-total">${rateStr}</td></tr>`;
         }
         
         html += `</tbody></table>`;
         
-        if (isGroup) {
-            html += `<p style="font-size:0.85rem; color:var(--color-text-light); margin-top:5px;">✨ Includes: Bonfire, BBQ, Music Night</p>`;
+        if (groupPackage && groupPackage.inclusions.length) {
+            html += `<p style="font-size:0.85rem; color:var(--color-text-light); margin-top:5px;">✨ ${escapeHtml(groupPackage.name)} includes: ${escapeHtml(groupPackage.inclusions.map(item => item.name).join(', '))}</p>`;
         }
         
         if (breakdown) breakdown.innerHTML = html;
@@ -315,6 +495,56 @@
         serverCalculatedPrice = total;
     }
     
+    // Full Resort package for the selected group size (priced by guest band)
+    function findGroupPackage() {
+        if (!PRICING) return null;
+        const guests = parseInt(document.getElementById("group-guests")?.value) || 0;
+        return PRICING.group.packages.find(pkg => guests >= pkg.minGuests && guests <= pkg.maxGuests) || null;
+    }
+    
+    // Replace the local preview rows with the server's, which know about seasons and date overrides
+    function showServerBreakdown(result, isGroup) {
+        const table = document.querySelector("#price-breakdown .breakdown-table tbody");
+        if (!table || !Array.isArray(result.breakdown)) return;
+        
+        const addOnRows = (result.items || []).filter(item => item.type === 'addOn').map(item =>
+            `<tr><td colspan="2">${escapeHtml(item.label)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</td><td class="row-total">₹${item.amount.toLocaleString('en-IN')}</td></tr>`
+        ).join('');
+        const extraRows = (result.extras || []).map(extra =>
+            `<tr><td colspan="2">${escapeHtml(extra.name)} × ${extra.quantity}${extra.per === 'night' ? ` × ${extra.dates.length} nights` : ''}</td><td class="row-total">₹${extra.amount.toLocaleString('en-IN')}</td></tr>`
+        ).join('');
+        const adjustmentRows = (result.adjustments || []).map(a =>
+            `<tr><td colspan="2">${escapeHtml(a.label)}</td><td class="row-total">${a.amount < 0 ? '−' : ''}₹${Math.abs(a.amount).toLocaleString('en-IN')}</td></tr>`
+        ).join('');
+        const promoError = result.promoError
+            ? `<tr><td colspan="3" class="sold-out-text">${escapeHtml(result.promoError)}</td></tr>`
+            : '';
+        
+        table.innerHTML = result.breakdown.map(night => {
+            const dateStr = formatShortDate(night.date);
+            let typeLabel;
+            if (night.rateType && night.rateType !== 'base') {
+                typeLabel = `<span class="tag-weekend" style="background:var(--color-primary);color:white">${escapeHtml(night.label)}</span>`;
+            } else if (isGroup) {
+                typeLabel = '<span class="tag-weekend" style="background:var(--color-accent);color:black">Full Resort</span>';
+            } else {
+                typeLabel = night.isWeekend ? '<span class="tag-weekend">Weekend</span>' : '<span class="tag-weekday">Weekday</span>';
+            }
+            return `<tr><td>${dateStr}</td><td>${typeLabel}</td><td class="row-total">₹${night.rate.toLocaleString('en-IN')}</td></tr>`;
+        }).join('') + addOnRows + extraRows + adjustmentRows + promoError;
+    }
+    
+    // Adults and children for a room booking, or the head count for the full resort
+    function getParty() {
+        const modeInput = document.querySelector('input[name="booking-mode"]:checked');
+        if (modeInput && modeInput.value === "group") return { guests: parseInt(document.getElementById("group-guests")?.value) || 0 };
+        return { adults: parseInt(document.getElementById("guests")?.value) || 2, children: parseInt(document.getElementById("children")?.value) || 0 };
+    }
+    
+    function getPromoCode() {
+        return document.getElementById("promo-code")?.value?.trim().toUpperCase() || undefined;
+    }
+    
     async function fetchServerPrice(checkinVal, checkoutVal) {
         const modeInput = document.querySelector('input[name="booking-mode"]:checked');
         const isGroup = modeInput && modeInput.value === "group";
@@ -330,7 +560,11 @@
                     checkOut: checkoutVal,
                     roomType: isGroup ? 'Full Resort' : (roomSelect ? roomSelect.value.split(" (")[0] : 'Deluxe Garden'),
                     mealPlan: (mealInput && mealInput.value.includes("MAPAI")) ? "MAPAI" : "EP",
-                    isGroupBooking: isGroup
+                    isGroupBooking: isGroup,
+                    promoCode: getPromoCode(),
+                    extras: getExtras(),
+                    guestPhone: document.getElementById("guest-phone")?.value?.trim() || undefined,
+                    ...getParty()
                 })
             });
             
@@ -341,6 +575,14 @@
                 if (totalDisplay) {
                     totalDisplay.textContent = `₹${result.total.toLocaleString('en-IN')}`;
                 }
+                showServerBreakdown(result, isGroup);
+            } else if (result.message) {
+                // e.g. too many guests for the room - the server's occupancy rules are the ones that count
+                const breakdown = document.getElementById("price-breakdown");
+                if (breakdown) breakdown.innerHTML = `<p class="placeholder-text sold-out-text">${escapeHtml(result.message)}</p>`;
+                const totalDisplay = document.getElementById("total-amount");
+                if (totalDisplay) totalDisplay.textContent = "₹0";
+                serverCalculatedPrice = 0;
             }
         } catch (err) {
             console.warn('Server price fetch failed, using local preview');
@@ -361,14 +603,13 @@
         const guestName = document.getElementById("guest-name")?.value?.trim();
         const guestPhone = document.getElementById("guest-phone")?.value?.trim();
         const roomSelect = document.getElementById("room-type");
-        const guestsSelect = document.getElementById("guests");
         const modeInput = document.querySelector('input[name="booking-mode"]:checked');
         const mealInput = document.querySelector('input[name="meal-plan"]:checked');
         
         const isGroup = modeInput && modeInput.value === "group";
         const roomType = roomSelect ? roomSelect.value.split(" (")[0] : '';
         const mealPlan = (mealInput && mealInput.value.includes("MAPAI")) ? "MAPAI" : "EP";
-        const guests = guestsSelect ? guestsSelect.value : '2';
+        const guests = getParty().guests;
         
         // Validation
         if (!checkin || !checkout) {
@@ -393,14 +634,17 @@
             return false;
         }
         
-        // Check dates aren't in past
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (new Date(checkin) < today) {
+        // Check dates aren't in past (resort time, as the server checks)
+        if (checkin < getResortToday()) {
             showToast("Check-in date cannot be in the past", "error");
             return false;
         }
         
+        if (findSoldOutNights(checkin, checkout).length) {
+            showToast(isGroup ? "The resort is not free for all of these nights" : "This room is sold out for some of these nights", "error");
+            return false;
+        }
+        
         setButtonLoading(submitBtn, true);
         
         const bookingData = {
@@ -408,7 +652,9 @@
             guestPhone,
             checkIn: checkin,
             checkOut: checkout,
-            guests: parseInt(guests) || 2,
+            ...getParty(),
+            promoCode: getPromoCode(),
+            extras: getExtras(),
             isGroupBooking: isGroup,
             mealPlan,
             roomType: isGroup ? 'Full Resort' : roomType
@@ -428,9 +674,12 @@
                 showToast(`Booking saved! Ref: ${result.data.id}`, 'success', 5000);
                 
                 // Open WhatsApp with confirmed details
+                const extrasLine = (bookingData.extras || []).length
+                    ? `%0aAdd-ons: ${bookingData.extras.map(e => `${getExtraName(e.id)} × ${e.quantity}`).join(', ')}`
+                    : '';
                 const msg = isGroup ?
-                    `*Group Booking* 🏰%0aRef: ${result.data.id}%0aName: ${guestName}%0aPhone: ${guestPhone}%0aDates: ${checkin} to ${checkout}%0aGuests: ${guests}%0aTotal: ₹${confirmedAmount.toLocaleString('en-IN')}%0a%0aHi, I'd like to confirm this booking.` :
-                    `*Room Booking* 🏨%0aRef: ${result.data.id}%0aName: ${guestName}%0aPhone: ${guestPhone}%0aDates: ${checkin} to ${checkout}%0aRoom: ${roomType}%0aPlan: ${mealPlan}%0aGuests: ${guests}%0aTotal: ₹${confirmedAmount.toLocaleString('en-IN')}%0a%0aHi, checking availability.`;
+                    `*Group Booking* 🏰%0aRef: ${result.data.id}%0aName: ${guestName}%0aPhone: ${guestPhone}%0aDates: ${checkin} to ${checkout}%0aGuests: ${guests}${extrasLine}${result.data.promoCode ? `%0aPromo: ${result.data.promoCode}` : ''}%0aTotal: ₹${confirmedAmount.toLocaleString('en-IN')}%0a%0aHi, I'd like to confirm this booking.` :
+                    `*Room Booking* 🏨%0aRef: ${result.data.id}%0aName: ${guestName}%0aPhone: ${guestPhone}%0aDates: ${checkin} to ${checkout}%0aRoom: ${roomType}%0aPlan: ${mealPlan}%0aGuests: ${bookingData.adults} adults${bookingData.children ? ` + ${bookingData.children} children` : ''}${extrasLine}${result.data.promoCode ? `%0aPromo: ${result.data.promoCode}` : ''}%0aTotal: ₹${confirmedAmount.toLocaleString('en-IN')}%0a%0aHi, checking availability.`;
                 
                 setTimeout(() => {
                     window.open(`https://wa.me/919045467967?text=${msg}`, "_blank");
@@ -443,6 +692,11 @@
                     toggleGroupMode();
                     initDatePickers(); // Re-initialize date restrictions
                 }, 1500);
+            } else if (result.waitlistAvailable) {
+                showToast(result.message, 'error', 6000);
+                if (confirm("These dates are sold out. Would you like to join the waitlist? We'll call you if a room opens up.")) {
+                    await joinWaitlist(bookingData);
+                }
             } else {
                 showToast(result.message || 'Booking failed. Please try again.', 'error');
             }
@@ -456,6 +710,20 @@
         return false;
     }
 
+    async function joinWaitlist(bookingData) {
+        try {
+            const response = await fetch('/api/waitlist', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(bookingData)
+            });
+            const result = await response.json();
+            showToast(result.message || (result.success ? "You're on the waitlist!" : 'Could not join the waitlist.'), result.success ? 'success' : 'error', 5000);
+        } catch (err) {
+            showToast('Network error. Please call us at +91 90454 67967', 'error');
+        }
+    }
+
     // ==================
     // CONTACT FORM
     // ==================
@@ -612,6 +880,7 @@
         .toast-info{background:linear-gradient(135deg,#2c3e50,#34495e)}
         .toast-icon{font-size:20px;font-weight:bold}
         .toast-message{font-size:15px}
+        .sold-out-text{color:#c0392b;font-weight:600}
         .lightbox{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.95);display:flex;align-items:center;justify-content:center;z-index:10000;animation:lbFadeIn 0.3s ease}
         @keyframes lbFadeIn{from{opacity:0}to{opacity:1}}
         .lightbox-content{position:relative;max-width:90%;max-height:90%}
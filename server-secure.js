@@ -19,6 +19,41 @@ const fsSync = require('fs');
 const path = require('path');
 const url = require('url');
 const crypto = require('crypto');
+const {
+    parseCalendarDate,
+    toResortDate,
+    getResortToday,
+    addDays,
+    daysBetween,
+    getMonthKey,
+    getNextMonthStart,
+    getStayDates
+} = require('./lib/calendar');
+const { ROOMS, CHECK_IN_TIME, GROUP_OCCASIONS, DEFAULT_PRICING } = require('./lib/resort');
+const {
+    setPricing,
+    getPricing,
+    EXTRA_PRICED_PER,
+    getGroupPackages,
+    getLineParty,
+    describeRoomLines,
+    priceStay,
+    getTaxRules,
+    applyTax
+} = require('./lib/pricing');
+const {
+    normalizePromoCode,
+    normalizePhone,
+    getPromoUsage,
+    checkPromoUsage,
+    applyPromoCode
+} = require('./lib/promos');
+const {
+    getPaymentLedger,
+    getAmountPaid,
+    getCancellationPolicy,
+    calculateRefund
+} = require('./lib/payments');
 
 // ============================================
 // CONFIGURATION
@@ -29,43 +64,46 @@ const CONFIG = {
     PROTECTED_DIR: path.join(__dirname, 'protected'),
     DATA_FILE: path.join(__dirname, 'data', 'bookings.json'),
     SESSIONS_FILE: path.join(__dirname, 'data', 'sessions.json'),
+    RATES_FILE: path.join(__dirname, 'data', 'rates.json'),
     
     // Admin credentials (in production, use environment variables!)
     ADMIN_USERNAME: process.env.ADMIN_USER || 'admin',
     ADMIN_PASSWORD: process.env.ADMIN_PASS || 'admin123',
     
+    // Owner credentials, entered again to delete anything for good (booking purges).
+    // Kept apart from the admin login; purging is disabled until OWNER_PASSWORD is set.
+    OWNER_USERNAME: process.env.OWNER_USERNAME || 'owner',
+    OWNER_PASSWORD: process.env.OWNER_PASSWORD || '',
+    
     // Session settings
     SESSION_EXPIRY_HOURS: 24,
     
+    // Guests who look up their booking get a token for that one booking, valid this long
+    GUEST_TOKEN_EXPIRY_HOURS: 2,
+    
+    // Pending bookings hold their rooms this long before staff must confirm them
+    HOLD_EXPIRY_HOURS: Number(process.env.HOLD_EXPIRY_HOURS) || 48,
+    HOLD_SWEEP_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
+    
+    // Saved quotes can be booked at their price until this many days after they are made
+    QUOTE_VALID_DAYS: 7,
+    
+    // Guests pay this share of the total as an advance; the rest is settled at check-out
+    DEPOSIT_PERCENT: 30,
+    PAYMENT_METHODS: ['Cash', 'UPI', 'Card', 'Bank Transfer'],
+    
+    // Deleted bookings are archived, and can only be purged for good this many days later
+    ARCHIVE_RETENTION_DAYS: 90,
+    
     // Rate limiting
     RATE_LIMIT_WINDOW_MS: 60000, // 1 minute
     RATE_LIMIT_MAX_REQUESTS: 100,
     
-    // Pricing (SINGLE SOURCE OF TRUTH - server-side only)
-    PRICING: {
-        group: { 
-            rate: 60000, 
-            inclusions: "Bonfire, BBQ, Music Night",
-            maxGuests: 30
-        },
-        rooms: {
-            "Deluxe Garden": {
-                weekday: { ep: 1700, mapai: 2700 },
-                weekend: { ep: 2200, mapai: 3200 },
-                maxGuests: 2
-            },
-            "Premium Valley": {
-                weekday: { ep: 2000, mapai: 3000 },
-                weekend: { ep: 2600, mapai: 3600 },
-                maxGuests: 2
-            },
-            "Family Suite": {
-                weekday: { ep: 2700, mapai: 4300 },
-                weekend: { ep: 3500, mapai: 5500 },
-                maxGuests: 4
-            }
-        }
-    }
+    // Resort check-in time; cancellation notice is counted back from it
+    CHECK_IN_TIME,
+    
+    // Longest range the public availability calendar will return
+    AVAILABILITY_MAX_DAYS: 92
 };
 
 // ============================================
@@ -155,18 +193,493 @@ async function readData() {
     }
 }
 
-async function writeData(data) {
-    // Simple lock to prevent race conditions
+// Simple lock to prevent race conditions: resolves, once every earlier holder is done,
+// to a function that releases it
+async function lockData() {
     const previousLock = dataLock;
     let resolveLock;
     dataLock = new Promise(resolve => { resolveLock = resolve; });
     
     await previousLock;
+    return resolveLock;
+}
+
+// Runs fn(data, save) with the lock held from the read to the write, so checks made on
+// data (rooms free, promo uses left...) still hold when save() writes it back. A handler
+// that returns without calling save() changes nothing.
+// audit: { actor, ip } - who is making the change, for the audit log (see AUDIT LOG)
+async function withData(audit, fn) {
+    const release = await lockData();
     try {
-        await fs.writeFile(CONFIG.DATA_FILE, JSON.stringify(data, null, 2));
+        const data = await readData();
+        // What the file holds while we have the lock - the state each save() replaces
+        let stored = JSON.parse(JSON.stringify(data));
+        
+        const save = async () => {
+            appendAuditEntries(stored, data, audit);
+            await fs.writeFile(CONFIG.DATA_FILE, JSON.stringify(data, null, 2));
+            stored = JSON.parse(JSON.stringify(data));
+        };
+        
+        return await fn(data, save);
     } finally {
-        resolveLock();
+        release();
+    }
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+// Every write of data/bookings.json is compared with the copy read under the same lock (see
+// withData), and each booking or inquiry that changed gets an entry in data.auditLog:
+//   { at, entity: 'booking' | 'inquiry', entityId, action: 'created' | 'updated' | 'purged', actor, ip?, changes }
+// changes maps each changed top-level field to { from, to }. Nested fields (rooms, priceBreakdown,
+// extras, payments...) are only named, as { change: 'added' | 'updated' | 'removed' }, so an entry
+// doesn't copy them. The log is rebuilt from the stored copy on every write, so entries can only
+// ever be added.
+
+// Bookkeeping fields that change with everything else, or are already histories of their own
+const AUDIT_IGNORED_FIELDS = ['updatedAt', 'updatedBy', 'statusHistory', 'changeHistory', 'archiveHistory'];
+
+const isNested = value => value !== null && typeof value === 'object';
+
+function diffRecord(before, after) {
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+        if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+        changes[field] = isNested(from) || isNested(to)
+            ? { change: to === null ? 'removed' : from === null ? 'added' : 'updated' }
+            : { from, to };
+    });
+    return changes;
+}
+
+function appendAuditEntries(previous, data, { actor = 'system', ip } = {}) {
+    const at = new Date().toISOString();
+    const entries = [];
+    const collections = {
+        booking: store => [...(store.bookings || []), ...(store.archivedBookings || [])],
+        inquiry: store => store.inquiries || []
+    };
+    
+    Object.entries(collections).forEach(([entity, records]) => {
+        const before = new Map(records(previous).map(record => [record.id, record]));
+        const after = new Map(records(data).map(record => [record.id, record]));
+        const entry = (entityId, action, changes) => entries.push({ at, entity, entityId, action, actor, ...(ip ? { ip } : {}), changes });
+        
+        after.forEach((record, id) => {
+            if (!before.has(id)) return entry(id, 'created', {});
+            const changes = diffRecord(before.get(id), record);
+            if (Object.keys(changes).length > 0) entry(id, 'updated', changes);
+        });
+        before.forEach((record, id) => {
+            if (!after.has(id)) entry(id, 'purged', {});
+        });
+    });
+    
+    data.auditLog = [...(previous.auditLog || []), ...entries];
+}
+
+function getAuditHistory(data, entity, entityId) {
+    return (data.auditLog || []).filter(entry => entry.entity === entity && entry.entityId === entityId);
+}
+
+// ============================================
+// RATE STORE (data/rates.json)
+// ============================================
+// The sheet in force is held by lib/pricing.js (getPricing); reloaded on start, replaced on save
+async function loadRates() {
+    try {
+        const data = await fs.readFile(CONFIG.RATES_FILE, 'utf8');
+        setPricing(JSON.parse(data));
+    } catch {
+        log('info', 'Seeding rate store with default pricing', { file: CONFIG.RATES_FILE });
+        await saveRates(JSON.parse(JSON.stringify(DEFAULT_PRICING)), 'system');
+    }
+}
+
+async function saveRates(pricing, username) {
+    const stored = { ...pricing, updatedAt: new Date().toISOString(), updatedBy: username };
+    await fs.writeFile(CONFIG.RATES_FILE, JSON.stringify(stored, null, 2));
+    setPricing(stored);
+}
+
+// Validates a full rate sheet from the admin and returns a clean copy (unknown fields dropped)
+function validateRates(input) {
+    const isRate = value => Number.isInteger(value) && value > 0 && value <= 1000000;
+    const isGuestCount = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+    
+    if (!input || typeof input !== 'object') return { error: 'Rates must be an object' };
+    
+    const group = validateGroupPricing(input.group || {}, isRate, isGuestCount);
+    if (group.error) return group;
+    
+    const inputRooms = input.rooms || {};
+    const unknown = Object.keys(inputRooms).filter(category => !getRoomCategories().includes(category));
+    if (unknown.length > 0) return { error: `Unknown room category: ${unknown.join(', ')}` };
+    
+    const rooms = {};
+    for (const category of getRoomCategories()) {
+        const room = inputRooms[category];
+        if (!room) return { error: `Rates missing for ${category}` };
+        
+        for (const dayType of ['weekday', 'weekend']) {
+            for (const plan of ['ep', 'mapai']) {
+                if (!isRate(room[dayType] && room[dayType][plan])) {
+                    return { error: `${category} ${dayType} ${plan.toUpperCase()} rate must be a positive whole number` };
+                }
+            }
+        }
+        if (!isGuestCount(room.maxGuests, 10)) return { error: `${category} max guests must be 1-10` };
+        if (!isGuestCount(room.baseOccupancy, room.maxGuests)) return { error: `${category} base occupancy must be 1-${room.maxGuests}` };
+        if (!isGuestCount(room.maxAdults, room.maxGuests)) return { error: `${category} max adults must be 1-${room.maxGuests}` };
+        if (!Number.isInteger(room.maxChildren) || room.maxChildren < 0 || room.maxChildren > room.maxGuests) {
+            return { error: `${category} max children must be 0-${room.maxGuests}` };
+        }
+        for (const extra of ['extraAdult', 'extraChild']) {
+            for (const plan of ['ep', 'mapai']) {
+                const value = room[extra] && room[extra][plan];
+                if (!Number.isInteger(value) || value < 0 || value > 1000000) {
+                    return { error: `${category} ${extra === 'extraAdult' ? 'extra adult' : 'extra child'} ${plan.toUpperCase()} charge must be a whole number` };
+                }
+            }
+        }
+        if (room.inclusions !== undefined && !Validator.isString(room.inclusions, 0, 500)) {
+            return { error: `${category} inclusions must be text (max 500 chars)` };
+        }
+        
+        rooms[category] = {
+            weekday: { ep: room.weekday.ep, mapai: room.weekday.mapai },
+            weekend: { ep: room.weekend.ep, mapai: room.weekend.mapai },
+            maxGuests: room.maxGuests,
+            baseOccupancy: room.baseOccupancy,
+            maxAdults: room.maxAdults,
+            maxChildren: room.maxChildren,
+            extraAdult: { ep: room.extraAdult.ep, mapai: room.extraAdult.mapai },
+            extraChild: { ep: room.extraChild.ep, mapai: room.extraChild.mapai },
+            ...(room.inclusions ? { inclusions: Validator.sanitizeString(room.inclusions) } : {})
+        };
+    }
+    
+    const seasons = validateSeasons(input.seasons || [], isRate);
+    if (seasons.error) return seasons;
+    
+    const overrides = validateOverrides(input.overrides || [], isRate);
+    if (overrides.error) return overrides;
+    
+    const restrictions = validateRestrictions(input.restrictions || []);
+    if (restrictions.error) return restrictions;
+    
+    const losDiscounts = validateLengthOfStayDiscounts(input.lengthOfStayDiscounts || []);
+    if (losDiscounts.error) return losDiscounts;
+    
+    // A sheet saved without these keeps the ones in force rather than resetting them
+    const extras = validateExtras(input.extras !== undefined ? input.extras : getPricing().extras || [], isRate);
+    if (extras.error) return extras;
+    
+    const tax = validateTaxRules(input.tax !== undefined ? input.tax : getPricing().tax || DEFAULT_PRICING.tax);
+    if (tax.error) return tax;
+    
+    const cancellationPolicy = validateCancellationPolicy(input.cancellationPolicy !== undefined ? input.cancellationPolicy : getPricing().cancellationPolicy || DEFAULT_PRICING.cancellationPolicy);
+    if (cancellationPolicy.error) return cancellationPolicy;
+    
+    return {
+        pricing: {
+            group: group.group,
+            extras: extras.extras,
+            rooms,
+            seasons: seasons.seasons,
+            overrides: overrides.overrides,
+            restrictions: restrictions.restrictions,
+            lengthOfStayDiscounts: losDiscounts.discounts,
+            tax: tax.tax,
+            cancellationPolicy: cancellationPolicy.tiers
+        }
+    };
+}
+
+function validateRestrictions(input) {
+    if (!Array.isArray(input)) return { error: 'Stay rules must be a list' };
+    
+    const restrictions = [];
+    for (const rule of input) {
+        if (!rule || !Validator.isString(rule.name, 1, 60)) return { error: 'Each stay rule needs a name (max 60 chars)' };
+        const name = Validator.sanitizeString(rule.name);
+        
+        if (!Validator.isDate(rule.startDate) || !Validator.isDate(rule.endDate)) return { error: `${name}: start and end dates are required` };
+        if (rule.endDate < rule.startDate) return { error: `${name}: end date must not be before start date` };
+        
+        const days = Array.isArray(rule.days) ? rule.days : [];
+        if (!days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return { error: `${name}: days must be 0 (Sunday) to 6 (Saturday)` };
+        
+        const minNights = rule.minNights === undefined || rule.minNights === null ? null : rule.minNights;
+        if (minNights !== null && (!Number.isInteger(minNights) || minNights < 2 || minNights > 30)) {
+            return { error: `${name}: minimum nights must be 2-30` };
+        }
+        if (minNights === null && !rule.closedToArrival && !rule.closedToDeparture) {
+            return { error: `${name}: set a minimum stay, closed to arrival or closed to departure` };
+        }
+        
+        restrictions.push({
+            name,
+            startDate: rule.startDate,
+            endDate: rule.endDate,
+            days: [...new Set(days)].sort(),
+            minNights,
+            closedToArrival: rule.closedToArrival === true,
+            closedToDeparture: rule.closedToDeparture === true
+        });
+    }
+    
+    return { restrictions: restrictions.sort((a, b) => a.startDate.localeCompare(b.startDate)) };
+}
+
+function validateLengthOfStayDiscounts(input) {
+    if (!Array.isArray(input)) return { error: 'Length-of-stay discounts must be a list' };
+    
+    const discounts = [];
+    for (const tier of input) {
+        if (!tier || !Number.isInteger(tier.minNights) || tier.minNights < 2 || tier.minNights > 60) {
+            return { error: 'Length-of-stay discounts need a minimum of 2-60 nights' };
+        }
+        if (typeof tier.percent !== 'number' || !Validator.isNumber(tier.percent, 1, 90)) {
+            return { error: `${tier.minNights}+ nights: discount must be 1-90%` };
+        }
+        if (discounts.some(other => other.minNights === tier.minNights)) {
+            return { error: `There is more than one discount for ${tier.minNights}+ nights` };
+        }
+        discounts.push({ minNights: tier.minNights, percent: tier.percent });
+    }
+    
+    return { discounts: discounts.sort((a, b) => a.minNights - b.minNights) };
+}
+
+// Refund tiers, stored with the longest notice first
+function validateCancellationPolicy(input) {
+    if (!Array.isArray(input) || input.length > 10) return { error: 'Cancellation policy must be a list of up to 10 tiers' };
+    
+    const tiers = [];
+    for (const tier of input) {
+        if (!tier || !Number.isInteger(tier.minHoursBefore) || tier.minHoursBefore < 0 || tier.minHoursBefore > 8760) {
+            return { error: 'Cancellation tiers need a notice of 0-8760 hours' };
+        }
+        if (typeof tier.refundPercent !== 'number' || !Validator.isNumber(tier.refundPercent, 0, 100)) {
+            return { error: `${tier.minHoursBefore}+ hours notice: refund must be 0-100%` };
+        }
+        if (tiers.some(other => other.minHoursBefore === tier.minHoursBefore)) {
+            return { error: `There is more than one cancellation tier for ${tier.minHoursBefore}+ hours` };
+        }
+        tiers.push({ minHoursBefore: tier.minHoursBefore, refundPercent: tier.refundPercent });
+    }
+    
+    return { tiers: tiers.sort((a, b) => b.minHoursBefore - a.minHoursBefore) };
+}
+
+// Tax slabs must climb in upTo order and end with one open-ended slab
+function validateTaxRules(input) {
+    if (!input || typeof input !== 'object') return { error: 'Tax must be an object' };
+    if (!Validator.isString(input.name, 1, 20)) return { error: 'Tax name is required (max 20 chars)' };
+    if (!Array.isArray(input.slabs) || input.slabs.length === 0 || input.slabs.length > 10) {
+        return { error: 'Tax needs 1-10 slabs' };
+    }
+    
+    const slabs = [];
+    for (const [i, slab] of input.slabs.entries()) {
+        const isLast = i === input.slabs.length - 1;
+        if (typeof slab.rate !== 'number' || !Validator.isNumber(slab.rate, 0, 50)) {
+            return { error: 'Tax rates must be numbers from 0 to 50' };
+        }
+        if (isLast) {
+            if (slab.upTo !== null && slab.upTo !== undefined) return { error: 'The last tax slab must have no upper limit' };
+        } else if (!Number.isInteger(slab.upTo) || slab.upTo < 1 || (slabs.length > 0 && slab.upTo <= slabs[slabs.length - 1].upTo)) {
+            return { error: 'Tax slab limits must be whole numbers in increasing order' };
+        }
+        slabs.push({ upTo: isLast ? null : slab.upTo, rate: slab.rate });
+    }
+    
+    const servicesRate = input.servicesRate === undefined ? DEFAULT_PRICING.tax.servicesRate : input.servicesRate;
+    if (typeof servicesRate !== 'number' || !Validator.isNumber(servicesRate, 0, 50)) {
+        return { error: 'Add-on tax rate must be a number from 0 to 50' };
+    }
+    
+    return { tax: { name: Validator.sanitizeString(input.name), servicesRate, slabs } };
+}
+
+// Guest bands must not overlap and must fit inside the resort's maxGuests
+function validateGroupPricing(group, isRate, isGuestCount) {
+    if (!isGuestCount(group.maxGuests, 100)) return { error: 'Group max guests must be 1-100' };
+    if (!Array.isArray(group.packages) || group.packages.length === 0) return { error: 'Add at least one group package' };
+    
+    const packages = [];
+    for (const pkg of group.packages) {
+        if (!pkg || !/^[A-Z0-9]{2,12}$/.test(pkg.id || '')) return { error: 'Group package IDs must be 2-12 capital letters or digits' };
+        if (!Validator.isString(pkg.name, 1, 60)) return { error: `${pkg.id}: package name is required (max 60 chars)` };
+        if (!isGuestCount(pkg.minGuests, group.maxGuests) || !isGuestCount(pkg.maxGuests, group.maxGuests) || pkg.maxGuests < pkg.minGuests) {
+            return { error: `${pkg.id}: guest band must be within 1-${group.maxGuests}` };
+        }
+        if (!isRate(pkg.rate)) return { error: `${pkg.id}: rate must be a positive whole number` };
+        
+        const clash = packages.find(other => other.id === pkg.id || (pkg.minGuests <= other.maxGuests && other.minGuests <= pkg.maxGuests));
+        if (clash) return { error: `${pkg.id} overlaps ${clash.id}` };
+        
+        const inclusions = Array.isArray(pkg.inclusions) ? pkg.inclusions : [];
+        if (inclusions.length > 20 || !inclusions.every(item => item && Validator.isString(item.name, 1, 60) && (!item.detail || Validator.isString(item.detail, 0, 200)))) {
+            return { error: `${pkg.id}: inclusions need a name (max 60 chars) and an optional detail (max 200)` };
+        }
+        
+        packages.push({
+            id: pkg.id,
+            name: Validator.sanitizeString(pkg.name),
+            minGuests: pkg.minGuests,
+            maxGuests: pkg.maxGuests,
+            rate: pkg.rate,
+            inclusions: inclusions.map(item => ({
+                name: Validator.sanitizeString(item.name),
+                ...(item.detail ? { detail: Validator.sanitizeString(item.detail) } : {})
+            }))
+        });
+    }
+    
+    const addOns = [];
+    for (const addOn of Array.isArray(group.addOns) ? group.addOns : []) {
+        if (!addOn || !/^[a-z0-9-]{2,20}$/.test(addOn.id || '')) return { error: 'Add-on IDs must be 2-20 lowercase letters, digits or -' };
+        if (addOns.some(other => other.id === addOn.id)) return { error: `Add-on ${addOn.id} is listed twice` };
+        if (!Validator.isString(addOn.name, 1, 60)) return { error: `${addOn.id}: add-on name is required (max 60 chars)` };
+        if (!isRate(addOn.price)) return { error: `${addOn.id}: price must be a positive whole number` };
+        if (!['stay', 'night'].includes(addOn.per)) return { error: `${addOn.id}: price must be per stay or per night` };
+        
+        const occasions = Array.isArray(addOn.occasions) ? addOn.occasions : [];
+        const unknown = occasions.find(occasion => !GROUP_OCCASIONS.includes(occasion));
+        if (unknown !== undefined) return { error: `${addOn.id}: unknown occasion ${unknown}` };
+        
+        addOns.push({ id: addOn.id, name: Validator.sanitizeString(addOn.name), price: addOn.price, per: addOn.per, occasions });
+    }
+    
+    return {
+        group: {
+            maxGuests: group.maxGuests,
+            packages: packages.sort((a, b) => a.minGuests - b.minGuests),
+            addOns
+        }
+    };
+}
+
+function validateExtras(input, isRate) {
+    if (!Array.isArray(input)) return { error: 'Add-ons must be a list' };
+    
+    const extras = [];
+    for (const extra of input) {
+        if (!extra || !/^[a-z0-9-]{2,20}$/.test(extra.id || '')) return { error: 'Add-on IDs must be 2-20 lowercase letters, digits or -' };
+        if (extras.some(other => other.id === extra.id)) return { error: `Add-on ${extra.id} is listed twice` };
+        if (!Validator.isString(extra.name, 1, 60)) return { error: `${extra.id}: add-on name is required (max 60 chars)` };
+        if (!isRate(extra.price)) return { error: `${extra.id}: price must be a positive whole number` };
+        if (!EXTRA_PRICED_PER.includes(extra.per)) return { error: `${extra.id}: price must be per unit, per person or per night` };
+        
+        const dailyCapacity = extra.dailyCapacity === undefined || extra.dailyCapacity === null ? null : extra.dailyCapacity;
+        if (dailyCapacity !== null && (!Number.isInteger(dailyCapacity) || dailyCapacity < 1 || dailyCapacity > 1000)) {
+            return { error: `${extra.id}: daily capacity must be 1-1000, or empty for no limit` };
+        }
+        
+        extras.push({ id: extra.id, name: Validator.sanitizeString(extra.name), price: extra.price, per: extra.per, dailyCapacity });
+    }
+    
+    return { extras };
+}
+
+// A season's or override's Full Resort price, as a percentage of each package's rate
+const isGroupPercent = value => Number.isInteger(value) && value >= 1 && value <= 1000;
+
+// Seasons run from startDate to endDate inclusive and replace the base weekday/weekend rates
+// for the categories they list. Overlapping seasons are rejected so every night has one answer.
+function validateSeasons(input, isRate) {
+    if (!Array.isArray(input)) return { error: 'Seasons must be a list' };
+    
+    const seasons = [];
+    for (const season of input) {
+        if (!season || !Validator.isString(season.name, 1, 60)) return { error: 'Each season needs a name (max 60 chars)' };
+        const name = Validator.sanitizeString(season.name);
+        
+        if (!Validator.isDate(season.startDate) || !Validator.isDate(season.endDate)) {
+            return { error: `${name}: start and end dates are required` };
+        }
+        if (season.endDate < season.startDate) return { error: `${name}: end date must not be before start date` };
+        
+        const clash = seasons.find(other => season.startDate <= other.endDate && other.startDate <= season.endDate);
+        if (clash) return { error: `${name} overlaps ${clash.name}` };
+        
+        const rooms = {};
+        for (const [category, room] of Object.entries(season.rooms || {})) {
+            if (!getRoomCategories().includes(category)) return { error: `${name}: unknown room category ${category}` };
+            for (const dayType of ['weekday', 'weekend']) {
+                for (const plan of ['ep', 'mapai']) {
+                    if (!isRate(room && room[dayType] && room[dayType][plan])) {
+                        return { error: `${name}: ${category} ${dayType} ${plan.toUpperCase()} rate must be a positive whole number` };
+                    }
+                }
+            }
+            rooms[category] = {
+                weekday: { ep: room.weekday.ep, mapai: room.weekday.mapai },
+                weekend: { ep: room.weekend.ep, mapai: room.weekend.mapai }
+            };
+        }
+        
+        if (season.groupPercent !== undefined && season.groupPercent !== null && !isGroupPercent(season.groupPercent)) {
+            return { error: `${name}: Full Resort rate must be 1-1000% of the package rate` };
+        }
+        if (Object.keys(rooms).length === 0 && !season.groupPercent) {
+            return { error: `${name}: set at least one room or group rate` };
+        }
+        
+        seasons.push({
+            name,
+            startDate: season.startDate,
+            endDate: season.endDate,
+            rooms,
+            ...(season.groupPercent ? { groupPercent: season.groupPercent } : {})
+        });
+    }
+    
+    return { seasons: seasons.sort((a, b) => a.startDate.localeCompare(b.startDate)) };
+}
+
+// Overrides pin the rate for a single night (a festival or long weekend) and beat any season
+function validateOverrides(input, isRate) {
+    if (!Array.isArray(input)) return { error: 'Date overrides must be a list' };
+    
+    const overrides = [];
+    for (const override of input) {
+        if (!override || !Validator.isDate(override.date)) return { error: 'Each date override needs a date' };
+        if (!Validator.isString(override.name, 1, 60)) return { error: `${override.date}: override needs a name (max 60 chars)` };
+        if (overrides.some(other => other.date === override.date)) return { error: `${override.date} has more than one override` };
+        
+        const rooms = {};
+        for (const [category, room] of Object.entries(override.rooms || {})) {
+            if (!getRoomCategories().includes(category)) return { error: `${override.date}: unknown room category ${category}` };
+            if (!isRate(room && room.ep) || !isRate(room.mapai)) {
+                return { error: `${override.date}: ${category} EP and MAPAI rates must be positive whole numbers` };
+            }
+            rooms[category] = { ep: room.ep, mapai: room.mapai };
+        }
+        
+        if (override.groupPercent !== undefined && override.groupPercent !== null && !isGroupPercent(override.groupPercent)) {
+            return { error: `${override.date}: Full Resort rate must be 1-1000% of the package rate` };
+        }
+        if (Object.keys(rooms).length === 0 && !override.groupPercent) {
+            return { error: `${override.date}: set at least one room or group rate` };
+        }
+        
+        overrides.push({
+            date: override.date,
+            name: Validator.sanitizeString(override.name),
+            rooms,
+            ...(override.groupPercent ? { groupPercent: override.groupPercent } : {})
+        });
     }
+    
+    return { overrides: overrides.sort((a, b) => a.date.localeCompare(b.date)) };
 }
 
 async function readSessions() {
@@ -203,9 +716,7 @@ const Validator = {
     },
     
     isDate(value) {
-        if (!this.isString(value, 10, 10)) return false;
-        const date = new Date(value);
-        return !isNaN(date.getTime());
+        return parseCalendarDate(value) !== null;
     },
     
     isNumber(value, min = 0, max = Infinity) {
@@ -214,15 +725,16 @@ const Validator = {
     },
     
     isRoomType(value) {
-        return Object.keys(CONFIG.PRICING.rooms).includes(value) || value === 'Full Resort';
+        return getRoomCategories().includes(value) || value === 'Full Resort';
     },
     
     isMealPlan(value) {
         return ['EP', 'MAPAI'].includes(value);
     },
     
+    // Statuses staff can set by hand (Expired is set by the hold sweep)
     isBookingStatus(value) {
-        return ['Pending', 'Confirmed', 'Cancelled'].includes(value);
+        return ['Pending', 'Confirmed', 'Cancelled', 'CheckedIn', 'CheckedOut', 'NoShow'].includes(value);
     },
     
     sanitizeString(value) {
@@ -235,559 +747,2890 @@ const Validator = {
 // ============================================
 // PRICE CALCULATION (Server-Side Only!)
 // ============================================
-function calculatePrice(checkIn, checkOut, roomType, mealPlan, isGroupBooking) {
-    const startDate = new Date(checkIn);
-    const endDate = new Date(checkOut);
-    
-    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-        return { error: 'Invalid dates' };
-    }
+// Prices are worked out in lib/pricing.js, shared with server.js. This section reads the stay
+// a request asks for.
+
+// Reads the requested rooms from either body.rooms[] or the single roomType/mealPlan/guests fields
+function parseRoomLines(body, defaults = {}) {
+    const requested = Array.isArray(body.rooms) && body.rooms.length > 0
+        ? body.rooms
+        : [{ roomType: body.roomType || defaults.roomType, mealPlan: body.mealPlan, guests: body.guests, adults: body.adults, children: body.children }];
     
-    if (startDate >= endDate) {
-        return { error: 'Check-out must be after check-in' };
+    if (requested.length > ROOMS.length) {
+        return { error: `A booking can hold at most ${ROOMS.length} rooms` };
     }
     
-    let total = 0;
-    const breakdown = [];
-    
-    for (let d = new Date(startDate); d < endDate; d.setDate(d.getDate() + 1)) {
-        const dayOfWeek = d.getDay();
-        const isWeekend = (dayOfWeek === 5 || dayOfWeek === 6); // Fri & Sat
-        const dateStr = d.toISOString().split('T')[0];
-        
-        let nightlyRate = 0;
-        
-        if (isGroupBooking) {
-            nightlyRate = CONFIG.PRICING.group.rate;
-        } else {
-            const room = CONFIG.PRICING.rooms[roomType];
-            if (!room) {
-                return { error: `Invalid room type: ${roomType}` };
-            }
-            
-            const planKey = mealPlan === 'MAPAI' ? 'mapai' : 'ep';
-            nightlyRate = isWeekend ? room.weekend[planKey] : room.weekday[planKey];
+    const lines = [];
+    for (const item of requested) {
+        const roomType = Validator.sanitizeString(item && item.roomType);
+        if (!Validator.isRoomType(roomType) || roomType === 'Full Resort') {
+            return { error: `Invalid room type: ${roomType || '(none)'}` };
         }
+        const party = parseParty(item);
+        if (party.error) return party;
         
-        total += nightlyRate;
-        breakdown.push({
-            date: dateStr,
-            isWeekend,
-            rate: nightlyRate
+        lines.push({
+            roomType,
+            mealPlan: Validator.isMealPlan(item.mealPlan) ? item.mealPlan : 'EP',
+            guests: party.adults + party.children,
+            adults: party.adults,
+            children: party.children
         });
     }
-    
+    return { lines };
+}
+
+// adults/children when given, otherwise the older single guests count (all adults)
+function parseParty(item) {
+    if (item.adults === undefined && item.children === undefined) {
+        return { adults: Validator.isNumber(item.guests, 1, 30) ? parseInt(item.guests) : 2, children: 0 };
+    }
+    if (!Number.isInteger(Number(item.adults)) || !Validator.isNumber(item.adults, 1, 30)) {
+        return { error: 'Each room needs 1-30 adults' };
+    }
+    const children = item.children === undefined ? 0 : Number(item.children);
+    if (!Number.isInteger(children) || !Validator.isNumber(children, 0, 30)) {
+        return { error: 'Children must be a whole number (0-30)' };
+    }
+    return { adults: Number(item.adults), children };
+}
+
+// Group head count; anything over the resort's capacity is rejected when the stay is priced
+function parseGroupGuests(body) {
+    return Validator.isNumber(body.guests, 1, 1000) ? parseInt(body.guests) : 2;
+}
+
+// Occasion and add-on IDs for a group stay; calculatePrice rejects any it doesn't know
+function parseGroupOptions(body) {
     return {
-        total,
-        nights: breakdown.length,
-        breakdown,
-        roomType: isGroupBooking ? 'Full Resort' : roomType,
-        mealPlan: isGroupBooking ? 'Included' : mealPlan
+        occasion: body.occasion ? Validator.sanitizeString(String(body.occasion)).toLowerCase() : undefined,
+        addOns: Array.isArray(body.addOns) ? [...new Set(body.addOns.filter(id => typeof id === 'string'))].slice(0, 20) : []
     };
 }
 
+// Add-ons picked for a stay as { id, quantity, date }; priceExtras rejects any it doesn't know
+function parseExtras(body) {
+    if (!Array.isArray(body.extras)) return [];
+    return body.extras
+        .filter(item => item && typeof item.id === 'string' && Validator.isNumber(item.quantity, 1, 50))
+        .slice(0, 20)
+        .map(item => ({
+            id: item.id,
+            quantity: parseInt(item.quantity),
+            ...(Validator.isDate(item.date) ? { date: item.date } : {})
+        }));
+}
+
 // ============================================
-// AUTHENTICATION
+// INVENTORY & AVAILABILITY
 // ============================================
-function generateToken() {
-    return crypto.randomBytes(32).toString('hex');
-}
+// Bookings in these states hold a room for their nights
+const INVENTORY_HOLDING_STATUSES = ['Pending', 'Confirmed', 'CheckedIn'];
 
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password + 'naqsh_salt_2025').digest('hex');
+function getRoomCategories() {
+    return [...new Set(ROOMS.map(room => room.category))];
 }
 
-async function createSession(username) {
-    const token = generateToken();
-    const expiresAt = Date.now() + (CONFIG.SESSION_EXPIRY_HOURS * 60 * 60 * 1000);
-    
-    const sessions = await readSessions();
-    // Clean expired sessions
-    sessions.sessions = sessions.sessions.filter(s => s.expiresAt > Date.now());
-    // Add new session
-    sessions.sessions.push({ token, username, expiresAt, createdAt: Date.now() });
-    await writeSessions(sessions);
-    
-    return token;
+function getRoomsByCategory(category) {
+    return ROOMS.filter(room => room.category === category);
 }
 
-async function validateSession(token) {
-    if (!token) return null;
-    
-    const sessions = await readSessions();
-    const session = sessions.sessions.find(s => s.token === token && s.expiresAt > Date.now());
-    return session || null;
+function holdsInventory(booking) {
+    return INVENTORY_HOLDING_STATUSES.includes(booking.status) && !isHoldExpired(booking);
 }
 
-async function deleteSession(token) {
-    const sessions = await readSessions();
-    sessions.sessions = sessions.sessions.filter(s => s.token !== token);
-    await writeSessions(sessions);
+// Room lines of a booking. Older single-room records are read as one line.
+function getRoomLines(booking) {
+    if (booking.isGroupBooking) return [];
+    if (Array.isArray(booking.rooms)) return booking.rooms;
+    return [{ roomType: booking.roomType, mealPlan: booking.mealPlan, guests: booking.guests }];
 }
 
-function getTokenFromRequest(req) {
-    // Check Authorization header
-    const authHeader = req.headers['authorization'];
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.substring(7);
-    }
-    
-    // Check cookie
-    const cookies = req.headers.cookie;
-    if (cookies) {
-        const match = cookies.match(/admin_token=([^;]+)/);
-        if (match) return match[1];
+// Same as getRoomLines, but stores the lines on the booking so they can be edited
+function ensureRoomLines(booking) {
+    if (!booking.isGroupBooking && !Array.isArray(booking.rooms)) {
+        booking.rooms = getRoomLines(booking);
     }
+    return getRoomLines(booking);
+}
+
+// Rooms of this category a booking takes. A Full Resort group booking takes every room.
+function countBookingRooms(booking, category) {
+    if (booking.isGroupBooking) return getRoomsByCategory(category).length;
+    return getRoomLines(booking).filter(line => line.roomType === category).length;
+}
+
+function countRoomsSold(bookings, category, date) {
+    return bookings
+        .filter(b => holdsInventory(b) && b.checkIn <= date && date < b.checkOut)
+        .reduce((sum, b) => sum + countBookingRooms(b, category), 0);
+}
+
+// Out-of-order blocks covering this night. A block without roomNumber closes the whole resort.
+function getBlocksOn(blocks, date) {
+    return (blocks || []).filter(block => block.startDate <= date && date < block.endDate);
+}
+
+function isRoomBlocked(blocks, roomNumber, date) {
+    return getBlocksOn(blocks, date).some(block => !block.roomNumber || block.roomNumber === roomNumber);
+}
+
+function countRoomsBlocked(blocks, category, date) {
+    return getRoomsByCategory(category).filter(room => isRoomBlocked(blocks, room.number, date)).length;
+}
+
+// Rooms of a category that are neither sold nor out of order on this night
+function countRoomsFree(data, category, date, bookings = data.bookings) {
+    const total = getRoomsByCategory(category).length;
+    return Math.max(0, total - countRoomsSold(bookings, category, date) - countRoomsBlocked(data.blocks, category, date));
+}
+
+// Nights where a new block would leave a category with fewer open rooms than it has sold -
+// including bookings that have no room assigned yet, which can't be moved out of the way
+function findBlockShortfalls(data, block) {
+    const categories = block.roomNumber ? [findRoom(block.roomNumber).category] : getRoomCategories();
+    const blocks = [...(data.blocks || []), block];
+    const shortfalls = [];
     
-    return null;
+    getStayDates(block.startDate, block.endDate).forEach(date => {
+        categories.forEach(category => {
+            const total = getRoomsByCategory(category).length;
+            const openBefore = total - countRoomsBlocked(data.blocks, category, date);
+            const openAfter = total - countRoomsBlocked(blocks, category, date);
+            const sold = countRoomsSold(data.bookings, category, date);
+            if (openAfter < openBefore && sold > openAfter) {
+                shortfalls.push({ date, category, sold, open: openAfter });
+            }
+        });
+    });
+    return shortfalls;
 }
 
-// ============================================
-// HELPERS
-// ============================================
-function generateId(prefix = 'BK') {
-    return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+// Units of an add-on already sold for a date (people for per-person add-ons)
+function countExtraSold(bookings, extraId, date) {
+    return bookings
+        .filter(holdsInventory)
+        .flatMap(b => b.extras || [])
+        .filter(extra => extra.id === extraId && extra.dates.includes(date))
+        .reduce((sum, extra) => sum + extra.quantity, 0);
 }
 
-async function parseBody(req) {
-    return new Promise((resolve, reject) => {
-        let body = '';
-        let size = 0;
-        const maxSize = 1024 * 1024; // 1MB limit
+// Checks priced add-on lines against each add-on's current daily capacity
+function checkExtrasCapacity(data, extras, excludeBookingId = null) {
+    const bookings = data.bookings.filter(b => b.id !== excludeBookingId);
+    const catalog = getPricing().extras || [];
+    
+    for (const extra of extras || []) {
+        const capacity = (catalog.find(e => e.id === extra.id) || {}).dailyCapacity;
+        if (!capacity) continue;
         
-        req.on('data', chunk => {
-            size += chunk.length;
-            if (size > maxSize) {
-                reject(new Error('Request body too large'));
-                req.destroy();
-                return;
+        const fullDates = extra.dates.filter(date => countExtraSold(bookings, extra.id, date) + extra.quantity > capacity);
+        if (fullDates.length > 0) {
+            const left = Math.max(0, capacity - Math.max(...fullDates.map(date => countExtraSold(bookings, extra.id, date))));
+            return {
+                available: false,
+                message: `Sorry, ${extra.name} is fully booked on ${fullDates.join(', ')}${left > 0 ? ` (only ${left} left)` : ''}. Please remove it or pick another date.`,
+                extra: { id: extra.id, fullDates, left }
+            };
+        }
+    }
+    return { available: true };
+}
+
+// Add-ons to fulfil on one date: one row per booking and add-on, plus how much of each is sold.
+// Pending bookings are listed too (they hold their add-ons until they expire).
+function buildExtrasSchedule(data, date) {
+    const rows = data.bookings
+        .filter(holdsInventory)
+        .flatMap(booking => (booking.extras || [])
+            .filter(extra => extra.dates.includes(date))
+            .map(extra => ({
+                bookingId: booking.id,
+                guestName: booking.guestName,
+                guestPhone: booking.guestPhone,
+                status: booking.status,
+                roomType: booking.roomType,
+                roomNumbers: getRoomLines(booking).map(line => line.roomNumber).filter(Boolean),
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut,
+                id: extra.id,
+                name: extra.name,
+                per: extra.per,
+                quantity: extra.quantity
+            })))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.guestName.localeCompare(b.guestName));
+    
+    const summary = (getPricing().extras || []).map(extra => ({
+        id: extra.id,
+        name: extra.name,
+        per: extra.per,
+        sold: rows.filter(row => row.id === extra.id).reduce((sum, row) => sum + row.quantity, 0),
+        dailyCapacity: extra.dailyCapacity
+    }));
+    
+    return { date, rows, summary };
+}
+
+// Checks that `quantity` rooms of this category are free for every night of the stay
+function checkRoomAvailability(data, roomType, checkIn, checkOut, excludeBookingId = null, quantity = 1) {
+    const bookings = data.bookings.filter(b => b.id !== excludeBookingId);
+    
+    const soldOutDates = getStayDates(checkIn, checkOut)
+        .filter(date => countRoomsFree(data, roomType, date, bookings) < quantity);
+    
+    return {
+        available: soldOutDates.length === 0,
+        soldOutDates
+    };
+}
+
+// Checks every room line of a request, grouping lines of the same category
+function checkLinesAvailability(data, lines, checkIn, checkOut, excludeBookingId = null) {
+    const requested = {};
+    lines.forEach(line => { requested[line.roomType] = (requested[line.roomType] || 0) + 1; });
+    
+    const unavailable = [];
+    Object.keys(requested).forEach(roomType => {
+        const result = checkRoomAvailability(data, roomType, checkIn, checkOut, excludeBookingId, requested[roomType]);
+        if (!result.available) {
+            unavailable.push({ roomType, requested: requested[roomType], soldOutDates: result.soldOutDates });
+        }
+    });
+    
+    return {
+        available: unavailable.length === 0,
+        unavailable,
+        soldOutDates: [...new Set(unavailable.flatMap(u => u.soldOutDates))].sort()
+    };
+}
+
+// A Full Resort booking needs all 12 rooms free (and no closures) on every night
+function checkResortAvailability(data, checkIn, checkOut, excludeBookingId = null) {
+    const bookings = data.bookings.filter(b => b.id !== excludeBookingId);
+    const categories = getRoomCategories();
+    
+    const unavailableDates = getStayDates(checkIn, checkOut).filter(date =>
+        categories.some(category => countRoomsFree(data, category, date, bookings) < getRoomsByCategory(category).length)
+    );
+    
+    return {
+        available: unavailableDates.length === 0,
+        soldOutDates: unavailableDates
+    };
+}
+
+// Free rooms per category for each night in [from, to)
+function getAvailabilityCalendar(data, from, to) {
+    const categories = getRoomCategories();
+    
+    return getStayDates(from, to).map(date => {
+        const freeRooms = {};
+        let allRoomsFree = true;
+        
+        categories.forEach(category => {
+            const total = getRoomsByCategory(category).length;
+            freeRooms[category] = countRoomsFree(data, category, date);
+            if (freeRooms[category] < total) allRoomsFree = false;
+        });
+        
+        return {
+            date,
+            rooms: freeRooms,
+            fullResortAvailable: allRoomsFree,
+            closed: getBlocksOn(data.blocks, date).some(block => !block.roomNumber)
+        };
+    });
+}
+
+// ============================================
+// ROOM ASSIGNMENT & TAPE CHART
+// ============================================
+function findRoom(roomNumber) {
+    return ROOMS.find(room => room.number === roomNumber) || null;
+}
+
+function staysOverlap(a, b) {
+    return a.checkIn < b.checkOut && b.checkIn < a.checkOut;
+}
+
+// Other live room lines already sitting in this room for any night of the stay
+function findRoomConflicts(bookings, roomNumber, checkIn, checkOut, exclude = {}) {
+    const conflicts = [];
+    
+    bookings
+        .filter(b => holdsInventory(b) && staysOverlap(b, { checkIn, checkOut }))
+        .forEach(b => {
+            getRoomLines(b).forEach((line, index) => {
+                if (line.roomNumber !== roomNumber) return;
+                if (b.id === exclude.bookingId && index === exclude.line) return;
+                conflicts.push({ bookingId: b.id, line: index, guestName: b.guestName, checkIn: b.checkIn, checkOut: b.checkOut });
+            });
+            // Full Resort bookings sit in every room
+            if (b.isGroupBooking) {
+                conflicts.push({ bookingId: b.id, line: null, guestName: b.guestName, checkIn: b.checkIn, checkOut: b.checkOut });
             }
-            body += chunk.toString();
         });
-        req.on('end', () => {
-            try {
-                resolve(body ? JSON.parse(body) : {});
-            } catch (e) {
-                reject(new Error('Invalid JSON'));
+    
+    return conflicts;
+}
+
+// Rooms x nights grid for [from, to), plus live room lines still waiting for a room
+function buildTapeChart(data, from, to) {
+    const dates = getStayDates(from, to);
+    const live = data.bookings.filter(b => holdsInventory(b) && staysOverlap(b, { checkIn: from, checkOut: to }));
+    const conflicts = [];
+    
+    const lines = live.flatMap(b => getRoomLines(b).map((line, index) => ({ booking: b, line, index })));
+    const groups = live.filter(b => b.isGroupBooking);
+    
+    const rooms = ROOMS.map(room => {
+        const nights = {};
+        const blocked = {};
+        
+        dates.forEach(date => {
+            const block = getBlocksOn(data.blocks, date).find(b => !b.roomNumber || b.roomNumber === room.number);
+            if (block) blocked[date] = block.reason;
+            
+            const occupants = lines
+                .filter(({ booking, line }) => line.roomNumber === room.number && booking.checkIn <= date && date < booking.checkOut)
+                .concat(groups
+                    .filter(booking => booking.checkIn <= date && date < booking.checkOut)
+                    .map(booking => ({ booking, index: null })));
+            if (occupants.length > 1) {
+                conflicts.push({ roomNumber: room.number, date, bookingIds: occupants.map(o => o.booking.id) });
             }
+            nights[date] = occupants.map(({ booking, index }) => ({
+                bookingId: booking.id,
+                line: index,
+                guestName: booking.guestName,
+                status: booking.status,
+                isGroupBooking: booking.isGroupBooking,
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut
+            }));
         });
-        req.on('error', reject);
+        
+        return { number: room.number, category: room.category, nights, blocked };
     });
+    
+    const unassigned = lines
+        .filter(({ line }) => !line.roomNumber)
+        .map(({ booking, line, index }) => ({
+            bookingId: booking.id,
+            line: index,
+            guestName: booking.guestName,
+            roomType: line.roomType,
+            status: booking.status,
+            checkIn: booking.checkIn,
+            checkOut: booking.checkOut
+        }));
+    
+    return { from, to, dates, rooms, unassigned, conflicts };
 }
 
-function sendJSON(res, statusCode, data) {
-    const body = JSON.stringify(data);
-    res.writeHead(statusCode, {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(body),
-        'X-Content-Type-Options': 'nosniff',
-        'X-Frame-Options': 'DENY',
-        'X-XSS-Protection': '1; mode=block',
-        'Cache-Control': 'no-store'
-    });
-    res.end(body);
+// ============================================
+// STAYS & BOOKING RECORDS
+// ============================================
+// A stay is { checkIn, checkOut, isGroupBooking, lines, guests, extras } - shared by bookings and waitlist entries.
+// Group stays also carry occasion and addOns (IDs from the group add-on list).
+// extras are the bookable add-ons picked from the catalog (see parseExtras).
+
+// Inventory check for a whole stay, with a guest-facing message when it can't be sold
+function checkStayAvailability(data, stay, excludeBookingId = null) {
+    if (stay.isGroupBooking) {
+        const availability = checkResortAvailability(data, stay.checkIn, stay.checkOut, excludeBookingId);
+        return {
+            ...availability,
+            message: availability.available ? null :
+                `Sorry, the full resort is not available on ${availability.soldOutDates.join(', ')} because some rooms are already booked. Please choose other dates.`
+        };
+    }
+    
+    const availability = checkLinesAvailability(data, stay.lines, stay.checkIn, stay.checkOut, excludeBookingId);
+    const details = availability.unavailable
+        .map(u => `${u.requested > 1 ? `${u.requested} ` : ''}${u.roomType} on ${u.soldOutDates.join(', ')}`)
+        .join('; ');
+    return {
+        ...availability,
+        message: availability.available ? null :
+            `Sorry, we don't have enough rooms free: ${details}. Please choose other dates or another room.`
+    };
 }
 
-async function serveStaticFile(res, filePath, baseDir = CONFIG.PUBLIC_DIR) {
-    // Prevent directory traversal
-    const normalizedPath = path.normalize(filePath);
-    if (!normalizedPath.startsWith(baseDir)) {
-        res.writeHead(403, { 'Content-Type': 'text/plain' });
-        res.end('Forbidden');
-        return;
+// Booking fields that come from the stay and its price. Repricing replaces all of them.
+const BOOKING_PRICE_FIELDS = [
+    'checkIn', 'checkOut', 'roomType', 'isGroupBooking', 'guests', 'mealPlan', 'rooms', 'extras',
+    'groupPackage', 'occasion', 'priceItems', 'totalAmount', 'nights', 'priceBreakdown',
+    'subtotal', 'priceAdjustments', 'promoCode', 'baseAmount', 'taxAmount', 'taxLines'
+];
+
+function getBookingPriceFields(stay, priceResult) {
+    return {
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut,
+        roomType: priceResult.roomType,
+        isGroupBooking: stay.isGroupBooking,
+        guests: stay.guests,
+        mealPlan: priceResult.mealPlan,
+        rooms: stay.isGroupBooking ? undefined : priceResult.lines,
+        ...(priceResult.extras ? { extras: priceResult.extras } : {}),
+        ...(priceResult.package ? { groupPackage: { id: priceResult.package.id, name: priceResult.package.name }, occasion: stay.occasion || null, priceItems: priceResult.items } : {}),
+        totalAmount: priceResult.total, // Server-calculated!
+        nights: priceResult.nights,
+        priceBreakdown: priceResult.breakdown,
+        ...(priceResult.adjustments ? { subtotal: priceResult.subtotal, priceAdjustments: priceResult.adjustments } : {}),
+        ...(priceResult.promoCode ? { promoCode: priceResult.promoCode } : {}),
+        ...(priceResult.taxLines ? { baseAmount: priceResult.baseAmount, taxAmount: priceResult.taxAmount, taxLines: priceResult.taxLines } : {})
+    };
+}
+
+// New Pending booking record. Price must come from priceStay (never from the client).
+function buildBooking(stay, guest, priceResult) {
+    return {
+        id: generateId('BK'),
+        guestName: guest.guestName,
+        guestPhone: guest.guestPhone,
+        guestEmail: guest.guestEmail || '',
+        ...getBookingPriceFields(stay, priceResult),
+        status: 'Pending',
+        holdExpiresAt: new Date(Date.now() + CONFIG.HOLD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString(),
+        createdAt: new Date().toISOString(),
+        ip: guest.ip,
+        notes: guest.notes || ''
+    };
+}
+
+// Status changes staff may make. Expired is only set by the hold sweep, and a cancelled
+// or expired booking can be revived if its rooms are still free.
+const BOOKING_TRANSITIONS = {
+    Pending: ['Confirmed', 'Cancelled'],
+    Confirmed: ['CheckedIn', 'NoShow', 'Cancelled'],
+    CheckedIn: ['CheckedOut'],
+    CheckedOut: [],
+    NoShow: ['CheckedIn'], // a late arrival
+    Cancelled: ['Pending', 'Confirmed'],
+    Expired: ['Pending', 'Confirmed']
+};
+
+// Why a booking can't move to `status` today, or null if it can
+function checkStatusTransition(booking, status, today = getResortToday()) {
+    if (!(BOOKING_TRANSITIONS[booking.status] || []).includes(status)) {
+        return `A ${booking.status} booking can't be marked ${status}`;
     }
+    if (status === 'CheckedIn' && today < booking.checkIn) return `Check-in opens on ${booking.checkIn}`;
+    if (status === 'CheckedIn' && today >= booking.checkOut) return 'This stay has already ended';
+    if (status === 'NoShow' && today < booking.checkIn) return `A guest can't be a no-show before ${booking.checkIn}`;
+    return null;
+}
+
+// Changes a booking's status and records who did it in statusHistory
+function setBookingStatus(booking, status, actor, note = '') {
+    const at = new Date().toISOString();
     
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
+    booking.statusHistory = booking.statusHistory || [];
+    booking.statusHistory.push({ from: booking.status, to: status, at, by: actor, ...(note ? { note } : {}) });
+    booking.status = status;
+    booking.updatedAt = at;
+    booking.updatedBy = actor;
+}
+
+// ============================================
+// PROMO CODES
+// ============================================
+// Applying codes and counting their uses is in lib/promos.js.
+
+// Validates an admin's new promo. Returns { error } or { promo }.
+function validatePromo(body, data) {
+    const code = normalizePromoCode(body.code);
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code)) return { error: 'Code must be 3-20 letters, digits, - or _' };
+    if ((data.promos || []).some(p => p.code === code)) return { error: `${code} already exists` };
     
-    try {
-        const data = await fs.readFile(filePath);
-        res.writeHead(200, { 
-            'Content-Type': mimeType,
-            'X-Content-Type-Options': 'nosniff'
-        });
-        res.end(data);
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            // Try serving index.html for SPA behavior
-            try {
-                const indexData = await fs.readFile(path.join(CONFIG.PUBLIC_DIR, 'index.html'));
-                res.writeHead(200, { 'Content-Type': 'text/html' });
-                res.end(indexData);
-            } catch {
-                res.writeHead(404, { 'Content-Type': 'text/plain' });
-                res.end('404 Not Found');
-            }
-        } else {
-            res.writeHead(500, { 'Content-Type': 'text/plain' });
-            res.end('Server Error');
+    if (!['percent', 'flat'].includes(body.type)) return { error: 'Type must be percent or flat' };
+    const value = Number(body.value);
+    if (!Number.isInteger(value) || value < 1 || (body.type === 'percent' ? value > 100 : value > 1000000)) {
+        return { error: body.type === 'percent' ? 'Percentage must be a whole number 1-100' : 'Flat discount must be a positive whole number' };
+    }
+    
+    for (const [from, to, label] of [['validFrom', 'validTo', 'Validity'], ['stayFrom', 'stayTo', 'Stay window']]) {
+        if (body[from] && !Validator.isDate(body[from])) return { error: `${label} start is not a valid date` };
+        if (body[to] && !Validator.isDate(body[to])) return { error: `${label} end is not a valid date` };
+        if (body[from] && body[to] && body[to] < body[from]) return { error: `${label} ends before it starts` };
+    }
+    
+    const optionalCount = (value, label) => {
+        if (value === undefined || value === null || value === '') return { value: null };
+        const n = Number(value);
+        return Number.isInteger(n) && n >= 1 && n <= 100000 ? { value: n } : { error: `${label} must be a positive whole number` };
+    };
+    const minNights = optionalCount(body.minNights, 'Minimum nights');
+    const maxUses = optionalCount(body.maxUses, 'Usage cap');
+    const maxUsesPerPhone = optionalCount(body.maxUsesPerPhone, 'Per-phone limit');
+    for (const check of [minNights, maxUses, maxUsesPerPhone]) {
+        if (check.error) return check;
+    }
+    
+    const roomTypes = Array.isArray(body.roomTypes) ? body.roomTypes : [];
+    const badType = roomTypes.find(type => !Validator.isRoomType(type));
+    if (badType !== undefined) return { error: `Invalid room type: ${badType}` };
+    
+    return {
+        promo: {
+            id: generateId('PRM'),
+            code,
+            type: body.type,
+            value,
+            description: Validator.sanitizeString(body.description || ''),
+            validFrom: body.validFrom || null,
+            validTo: body.validTo || null,
+            stayFrom: body.stayFrom || null,
+            stayTo: body.stayTo || null,
+            minNights: minNights.value,
+            roomTypes,
+            maxUses: maxUses.value,
+            maxUsesPerPhone: maxUsesPerPhone.value,
+            active: true
         }
+    };
+}
+
+// ============================================
+// WAITLIST
+// ============================================
+// Waitlist entries live in data.waitlist: Waiting -> Offered (a held Pending booking), Removed,
+// or Expired once the check-in date has passed
+
+// The nights a booking gives back when it stops holding rooms. Nights before today are already
+// stayed or missed, so a no-show or early checkout frees only the rest, and a normal checkout none.
+function getReleasedStay(booking, today = getResortToday()) {
+    const checkIn = booking.checkIn > today ? booking.checkIn : today;
+    return checkIn < booking.checkOut ? { checkIn, checkOut: booking.checkOut } : null;
+}
+
+// Called after a booking releases inventory. Offers the freed rooms to the earliest
+// waiting guest whose stay overlaps the nights still to come and now fits. Returns the offer or null.
+function createWaitlistOffer(data, releasedBooking) {
+    const today = getResortToday();
+    (data.waitlist || [])
+        .filter(entry => entry.status === 'Waiting' && entry.checkIn < today)
+        .forEach(entry => {
+            entry.status = 'Expired';
+            entry.updatedAt = new Date().toISOString();
+        });
+    
+    const released = getReleasedStay(releasedBooking, today);
+    if (!released) return null;
+    
+    const candidates = (data.waitlist || [])
+        .filter(entry => entry.status === 'Waiting' && staysOverlap(entry, released))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    
+    for (const entry of candidates) {
+        const stay = {
+            checkIn: entry.checkIn,
+            checkOut: entry.checkOut,
+            isGroupBooking: entry.isGroupBooking,
+            lines: entry.rooms,
+            guests: entry.guests,
+            occasion: entry.occasion,
+            addOns: entry.addOns,
+            extras: entry.extras
+        };
+        
+        if (!checkStayAvailability(data, stay).available) continue;
+        
+        const priceResult = priceStay(stay);
+        if (priceResult.error || !checkExtrasCapacity(data, priceResult.extras).available) continue;
+        
+        const booking = buildBooking(stay, {
+            guestName: entry.guestName,
+            guestPhone: entry.guestPhone,
+            guestEmail: entry.guestEmail,
+            ip: entry.ip,
+            notes: entry.notes
+        }, applyTax(priceResult));
+        booking.waitlistEntryId = entry.id;
+        
+        entry.status = 'Offered';
+        entry.offerBookingId = booking.id;
+        entry.offeredAt = booking.createdAt;
+        data.bookings.push(booking);
+        
+        return { entry, booking };
     }
+    
+    return null;
 }
 
-function getClientIP(req) {
-    return req.headers['x-forwarded-for']?.split(',')[0].trim() || 
-           req.connection?.remoteAddress || 
-           'unknown';
+// ============================================
+// PAYMENTS
+// ============================================
+// The payments ledger and cancellation refunds are in lib/payments.js.
+
+function getDepositRequired(booking) {
+    return Math.ceil((booking.totalAmount || 0) * CONFIG.DEPOSIT_PERCENT / 100);
 }
 
-function log(level, message, data = {}) {
-    const timestamp = new Date().toISOString();
-    const logEntry = { timestamp, level, message, ...data };
-    console.log(JSON.stringify(logEntry));
+// What the booking is worth to the resort now: the total for a stay that goes ahead, what the
+// cancellation policy kept for a cancelled one, whatever was paid for a no-show and nothing
+// for an expired hold. Anything paid beyond that is owed back to the guest.
+function getAmountOwed(booking) {
+    if (booking.status === 'Cancelled') return booking.refund ? booking.refund.amountPaid - booking.refund.amount : 0;
+    if (booking.status === 'Expired') return 0;
+    if (booking.status === 'NoShow') return Math.min(getAmountPaid(booking), booking.totalAmount || 0);
+    return booking.totalAmount || 0;
+}
+
+function getPaymentSummary(booking) {
+    const amountPaid = getAmountPaid(booking);
+    const amountOwed = getAmountOwed(booking);
+    const depositRequired = getDepositRequired(booking);
+    return {
+        amountPaid,
+        amountOwed,
+        balanceDue: Math.max(0, amountOwed - amountPaid),
+        refundDue: Math.max(0, amountPaid - amountOwed),
+        depositRequired,
+        depositOutstanding: ['Pending', 'Confirmed'].includes(booking.status) && amountPaid < depositRequired
+    };
+}
+
+// Adds an entry to the booking's ledger. Returns the entry, or { error } when the amount
+// doesn't fit: a payment can't exceed the balance due, nor a refund what has been paid.
+function recordPayment(booking, { type, amount, method, reference, note }, actor) {
+    const summary = getPaymentSummary(booking);
+    if (type === 'payment' && amount > summary.balanceDue) {
+        return { error: `This is more than the ₹${summary.balanceDue.toLocaleString('en-IN')} balance due` };
+    }
+    if (type === 'refund' && amount > summary.amountPaid) {
+        return { error: `Only ₹${summary.amountPaid.toLocaleString('en-IN')} has been paid` };
+    }
+    
+    const at = new Date().toISOString();
+    const entry = { id: generateId('PAY'), type, amount, method, ...(reference ? { reference } : {}), ...(note ? { note } : {}), at, by: actor };
+    booking.payments = [...getPaymentLedger(booking), entry];
+    booking.amountPaid = getAmountPaid(booking);
+    booking.updatedAt = at;
+    booking.updatedBy = actor;
+    return { entry };
 }
 
 // ============================================
-// API HANDLERS
+// SAVED QUOTES
 // ============================================
-async function handleAPI(req, res, pathname) {
-    const method = req.method;
-    const ip = getClientIP(req);
+// Quotes live in data.quotes: Active -> Booked or Withdrawn. An Active quote past expiresOn
+// (a resort date, inclusive) reads as Expired. The price is frozen when the quote is made.
+
+// Reads a stay from a quote, booking, waitlist or price request body: { stay } or { error }.
+// defaults: passed on to parseRoomLines
+function parseStay(body, defaults = {}) {
+    if (!Validator.isDate(body.checkIn) || !Validator.isDate(body.checkOut) || body.checkIn >= body.checkOut) {
+        return { error: 'Valid check-in and check-out dates required' };
+    }
     
-    // CORS preflight
-    if (method === 'OPTIONS') {
-        res.writeHead(204, {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-        });
-        res.end();
-        return;
+    const isGroupBooking = body.isGroupBooking === true;
+    let lines = [];
+    if (!isGroupBooking) {
+        const parsed = parseRoomLines(body, defaults);
+        if (parsed.error) return parsed;
+        lines = parsed.lines;
     }
     
-    try {
-        // ==================
-        // PUBLIC ENDPOINTS
-        // ==================
-        
-        // Health check
-        if (pathname === '/api/health') {
-            sendJSON(res, 200, { 
-                status: 'OK', 
-                message: 'Naqsh Resort API is running',
-                timestamp: new Date().toISOString()
+    return {
+        stay: {
+            checkIn: body.checkIn,
+            checkOut: body.checkOut,
+            isGroupBooking,
+            lines,
+            guests: isGroupBooking
+                ? parseGroupGuests(body)
+                : lines.reduce((sum, line) => sum + line.guests, 0),
+            ...(isGroupBooking ? parseGroupOptions(body) : {}),
+            extras: parseExtras(body)
+        }
+    };
+}
+
+function getQuoteStatus(quote) {
+    return quote.status === 'Active' && getResortToday() > quote.expiresOn ? 'Expired' : quote.status;
+}
+
+// The stay a quote was priced for, in the shape priceStay and buildBooking expect
+function getQuoteStay(quote) {
+    return {
+        checkIn: quote.checkIn,
+        checkOut: quote.checkOut,
+        isGroupBooking: quote.isGroupBooking,
+        lines: quote.rooms,
+        guests: quote.guests,
+        occasion: quote.occasion,
+        addOns: quote.addOns,
+        extras: quote.extras
+    };
+}
+
+// What the guest sees at the public link: no staff or request details
+function toPublicQuote(quote) {
+    const { price } = quote;
+    return {
+        id: quote.id,
+        status: getQuoteStatus(quote),
+        expiresOn: quote.expiresOn,
+        guestName: quote.guestName,
+        message: quote.message,
+        checkIn: quote.checkIn,
+        checkOut: quote.checkOut,
+        isGroupBooking: quote.isGroupBooking,
+        guests: quote.guests,
+        occasion: quote.occasion,
+        roomType: price.roomType,
+        mealPlan: price.mealPlan,
+        nights: price.nights,
+        lines: price.lines,
+        package: price.package,
+        items: price.items,
+        extras: price.extras,
+        breakdown: price.breakdown,
+        subtotal: price.subtotal,
+        adjustments: price.adjustments,
+        promoCode: price.promoCode,
+        baseAmount: price.baseAmount,
+        taxAmount: price.taxAmount,
+        total: price.total
+    };
+}
+
+// ============================================
+// BOOKING CHANGES
+// ============================================
+// Guests (new dates) and staff (dates, rooms, guests) change a live booking through the same
+// steps: getBookingStay -> repriceBookingStay -> applyBookingChange -> recordBookingChange.
+// Each change is kept in booking.changeHistory as { at, by, from, to, note? }.
+
+// The booking's stay moved to new dates. Dated add-ons keep their offset from check-in
+// (clamped to the new stay); per-night ones follow the stay.
+function getBookingStay(booking, checkIn = booking.checkIn, checkOut = booking.checkOut) {
+    const shift = daysBetween(booking.checkIn, checkIn);
+    return {
+        checkIn,
+        checkOut,
+        isGroupBooking: booking.isGroupBooking,
+        lines: getRoomLines(booking),
+        guests: booking.guests,
+        occasion: booking.occasion || undefined,
+        addOns: (booking.priceItems || []).filter(item => item.type === 'addOn').map(item => item.id),
+        extras: (booking.extras || []).map(extra => {
+            if (extra.per === 'night') return { id: extra.id, quantity: extra.quantity };
+            const date = addDays(extra.dates[0], shift);
+            return { id: extra.id, quantity: extra.quantity, date: date < checkIn ? checkIn : date > checkOut ? checkOut : date };
+        })
+    };
+}
+
+// Prices a booking's changed stay at today's rates, keeping its promo code, and checks the
+// rooms and add-ons are free. Returns { priceResult } or { error, status }.
+function repriceBookingStay(data, booking, stay) {
+    let priceResult = priceStay(stay);
+    if (priceResult.error) return { error: priceResult.error, status: 400 };
+    
+    const availability = checkStayAvailability(data, stay, booking.id);
+    if (!availability.available) return { error: availability.message, status: 409 };
+    
+    const extrasCapacity = checkExtrasCapacity(data, priceResult.extras, booking.id);
+    if (!extrasCapacity.available) return { error: extrasCapacity.message, status: 409 };
+    
+    if (booking.promoCode) {
+        // The booking's own use of the code doesn't count against it
+        const others = { ...data, bookings: data.bookings.filter(b => b.id !== booking.id) };
+        const promo = applyPromoCode(others, booking.promoCode, stay, priceResult, booking.guestPhone);
+        if (promo.error) return { error: `The promo code can't be kept for this change: ${promo.error}`, status: 409 };
+        priceResult = promo.quote;
+    }
+    
+    return { priceResult: applyTax(priceResult) };
+}
+
+// Request fields that change a booking's stay (and so its price)
+const STAY_EDIT_FIELDS = ['checkIn', 'checkOut', 'rooms', 'roomType', 'mealPlan', 'guests', 'adults', 'children', 'occasion', 'addOns', 'extras'];
+
+// The booking's stay with a staff edit applied: { stay }, { error }, or { stay: null } when the
+// request doesn't touch the stay. A single-room booking can be edited with roomType, mealPlan and
+// guests (or adults/children); a multi-room one needs the whole rooms list.
+function parseStayEdits(booking, body) {
+    if (!STAY_EDIT_FIELDS.some(field => body[field] !== undefined)) return { stay: null };
+    
+    const checkIn = body.checkIn !== undefined ? body.checkIn : booking.checkIn;
+    const checkOut = body.checkOut !== undefined ? body.checkOut : booking.checkOut;
+    if (!Validator.isDate(checkIn) || !Validator.isDate(checkOut) || checkIn >= checkOut) {
+        return { error: 'Valid check-in and check-out dates required' };
+    }
+    
+    const stay = getBookingStay(booking, checkIn, checkOut);
+    if (body.extras !== undefined) stay.extras = parseExtras(body);
+    
+    if (booking.isGroupBooking) {
+        if (body.guests !== undefined) stay.guests = parseGroupGuests(body);
+        Object.assign(stay, parseGroupOptions({
+            occasion: body.occasion !== undefined ? body.occasion : stay.occasion,
+            addOns: body.addOns !== undefined ? body.addOns : stay.addOns
+        }));
+        return { stay };
+    }
+    
+    let rooms = body.rooms;
+    if (rooms === undefined && ['roomType', 'mealPlan', 'guests', 'adults', 'children'].some(field => body[field] !== undefined)) {
+        if (stay.lines.length > 1) return { error: 'Send the whole rooms list to edit a multi-room booking' };
+        const line = stay.lines[0];
+        const party = getLineParty(line);
+        rooms = [{
+            roomType: body.roomType !== undefined ? body.roomType : line.roomType,
+            mealPlan: body.mealPlan !== undefined ? body.mealPlan : line.mealPlan,
+            ...(body.adults !== undefined || body.children !== undefined
+                ? { adults: body.adults !== undefined ? body.adults : party.adults, children: body.children !== undefined ? body.children : party.children }
+                : body.guests !== undefined ? { guests: body.guests } : party)
+        }];
+    }
+    if (rooms !== undefined) {
+        const parsed = parseRoomLines({ rooms });
+        if (parsed.error) return parsed;
+        stay.lines = parsed.lines;
+        stay.guests = parsed.lines.reduce((sum, line) => sum + line.guests, 0);
+    }
+    return { stay };
+}
+
+// Moves a booking onto a repriced stay. Assigned rooms are kept when they are the same
+// category and still free and in service for the new dates. Returns the change as { from, to }:
+// dates and total always, room type, meal plan and guests when they changed.
+function applyBookingChange(data, booking, stay, priceResult) {
+    const before = { ...booking };
+    const oldLines = getRoomLines(booking);
+    
+    BOOKING_PRICE_FIELDS.forEach(field => delete booking[field]);
+    Object.assign(booking, getBookingPriceFields(stay, priceResult));
+    
+    (booking.rooms || []).forEach((line, index) => {
+        const { roomType, roomNumber, roomAssignedAt, roomAssignedBy } = oldLines[index] || {};
+        if (!roomNumber || roomType !== line.roomType) return;
+        const blocked = getStayDates(stay.checkIn, stay.checkOut).some(date => isRoomBlocked(data.blocks, roomNumber, date));
+        const taken = findRoomConflicts(data.bookings, roomNumber, stay.checkIn, stay.checkOut, { bookingId: booking.id, line: index }).length > 0;
+        if (!blocked && !taken) Object.assign(line, { roomNumber, roomAssignedAt, roomAssignedBy });
+    });
+    
+    const from = {};
+    const to = {};
+    ['checkIn', 'checkOut', 'roomType', 'mealPlan', 'guests', 'totalAmount'].forEach(field => {
+        const always = ['checkIn', 'checkOut', 'totalAmount'].includes(field);
+        if (always || before[field] !== booking[field]) {
+            from[field] = before[field];
+            to[field] = booking[field];
+        }
+    });
+    return { from, to };
+}
+
+// Appends a change to booking.changeHistory and stamps who made it
+function recordBookingChange(booking, change, actor, note = '') {
+    const at = new Date().toISOString();
+    booking.changeHistory = booking.changeHistory || [];
+    booking.changeHistory.push({ at, by: actor, from: change.from, to: change.to, ...(note ? { note } : {}) });
+    booking.updatedAt = at;
+    booking.updatedBy = actor;
+}
+
+// ============================================
+// ARCHIVED BOOKINGS
+// ============================================
+// Deleting a booking moves it from data.bookings to data.archivedBookings, so it no longer
+// holds rooms or shows up in listings and reports. While archived it carries
+// archived: { at, by, reason }; a restore moves that into archiveHistory. Only the owner
+// (CONFIG.OWNER_USERNAME / OWNER_PASSWORD) can purge an archived booking, and only after
+// CONFIG.ARCHIVE_RETENTION_DAYS.
+
+// Why a booking can't be archived yet, or null. A live booking is cancelled (or checked out)
+// first, so its rooms go to the waitlist and its refund is worked out, and money still owed
+// either way is settled in the payments ledger before the booking leaves the list.
+function getArchiveBlocker(booking) {
+    if (holdsInventory(booking)) {
+        return 'This booking still holds rooms. Cancel it or check the guest out before deleting it.';
+    }
+    const summary = getPaymentSummary(booking);
+    if (summary.refundDue > 0) {
+        return `Record the ₹${summary.refundDue.toLocaleString('en-IN')} refund due before deleting this booking.`;
+    }
+    if (summary.balanceDue > 0) {
+        return `This booking still has a ₹${summary.balanceDue.toLocaleString('en-IN')} balance due.`;
+    }
+    return null;
+}
+
+function archiveBooking(data, booking, actor, reason) {
+    data.bookings = data.bookings.filter(b => b.id !== booking.id);
+    booking.archived = { at: new Date().toISOString(), by: actor, reason };
+    data.archivedBookings = data.archivedBookings || [];
+    data.archivedBookings.push(booking);
+}
+
+function restoreBooking(data, booking, actor) {
+    const at = new Date().toISOString();
+    data.archivedBookings = data.archivedBookings.filter(b => b.id !== booking.id);
+    booking.archiveHistory = booking.archiveHistory || [];
+    booking.archiveHistory.push({ ...booking.archived, restoredAt: at, restoredBy: actor });
+    delete booking.archived;
+    booking.updatedAt = at;
+    booking.updatedBy = actor;
+    data.bookings.push(booking);
+}
+
+// When an archived booking may be purged (an ISO timestamp)
+function getPurgeDate(booking) {
+    return new Date(new Date(booking.archived.at).getTime() + CONFIG.ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// ============================================
+// GUEST SELF-SERVICE
+// ============================================
+// Guests find their booking by ID + phone and get a token scoped to that booking (see
+// createGuestToken). They can move the dates of, or cancel, a live booking before check-in.
+// Cancellations are kept in statusHistory, date changes in changeHistory (both by 'guest').
+
+function getGuestActions(booking) {
+    const open = holdsInventory(booking) && getResortToday() < booking.checkIn;
+    return { canChange: open, canCancel: open };
+}
+
+// What the guest sees of their booking: no staff notes, IPs or room assignments
+function toGuestBooking(booking) {
+    return {
+        id: booking.id,
+        status: booking.status,
+        guestName: booking.guestName,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        nights: booking.nights,
+        isGroupBooking: booking.isGroupBooking,
+        guests: booking.guests,
+        roomType: booking.roomType,
+        mealPlan: booking.mealPlan,
+        lines: getRoomLines(booking).map(line => ({
+            roomType: line.roomType,
+            mealPlan: line.mealPlan,
+            ...getLineParty(line),
+            total: line.total
+        })),
+        package: booking.groupPackage,
+        occasion: booking.occasion,
+        items: booking.priceItems,
+        extras: booking.extras,
+        breakdown: booking.priceBreakdown,
+        subtotal: booking.subtotal,
+        adjustments: booking.priceAdjustments,
+        promoCode: booking.promoCode,
+        baseAmount: booking.baseAmount,
+        taxAmount: booking.taxAmount,
+        total: booking.totalAmount,
+        holdExpiresAt: booking.status === 'Pending' ? new Date(getHoldExpiry(booking)).toISOString() : undefined,
+        createdAt: booking.createdAt,
+        changes: (booking.changeHistory || [])
+            .filter(change => change.to.checkIn)
+            .map(change => ({ at: change.at, from: change.from, to: change.to })),
+        amountPaid: getAmountPaid(booking),
+        balanceDue: getPaymentSummary(booking).balanceDue,
+        depositRequired: getDepositRequired(booking),
+        refund: booking.refund,
+        ...getGuestActions(booking),
+        refundIfCancelled: getGuestActions(booking).canCancel ? calculateRefund(booking) : undefined
+    };
+}
+
+// ============================================
+// HOLD EXPIRY
+// ============================================
+// Older records have no holdExpiresAt - their hold runs from createdAt
+function getHoldExpiry(booking) {
+    if (booking.holdExpiresAt) return new Date(booking.holdExpiresAt).getTime();
+    return new Date(booking.createdAt).getTime() + CONFIG.HOLD_EXPIRY_HOURS * 60 * 60 * 1000;
+}
+
+function isHoldExpired(booking, now = Date.now()) {
+    return booking.status === 'Pending' && getHoldExpiry(booking) <= now;
+}
+
+// Marks lapsed Pending bookings as Expired and offers their rooms to the waitlist.
+// Returns the bookings that expired so the caller knows whether to save.
+function expireStaleHolds(data, now = Date.now()) {
+    const expired = data.bookings.filter(b => isHoldExpired(b, now));
+    
+    expired.forEach(booking => {
+        setBookingStatus(booking, 'Expired', 'system', 'Hold expired before confirmation');
+        
+        // An expired waitlist offer closes its entry
+        const entry = booking.waitlistEntryId && (data.waitlist || []).find(e => e.id === booking.waitlistEntryId);
+        if (entry && entry.status === 'Offered') {
+            entry.status = 'Expired';
+            entry.updatedAt = booking.updatedAt;
+        }
+        
+        const offer = createWaitlistOffer(data, booking);
+        if (offer) {
+            log('info', 'Waitlist offer created', { entryId: offer.entry.id, bookingId: offer.booking.id });
+        }
+    });
+    
+    return expired;
+}
+
+async function sweepExpiredHolds() {
+    try {
+        await withData({}, async (data, save) => {
+            const expired = expireStaleHolds(data);
+            if (expired.length > 0) {
+                await save();
+                log('info', 'Expired pending holds', { bookingIds: expired.map(b => b.id) });
+            }
+        });
+    } catch (error) {
+        log('error', 'Hold sweep failed', { error: error.message });
+    }
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password + 'naqsh_salt_2025').digest('hex');
+}
+
+async function createSession(username) {
+    const token = generateToken();
+    const expiresAt = Date.now() + (CONFIG.SESSION_EXPIRY_HOURS * 60 * 60 * 1000);
+    
+    const sessions = await readSessions();
+    // Clean expired sessions
+    sessions.sessions = sessions.sessions.filter(s => s.expiresAt > Date.now());
+    // Add new session
+    sessions.sessions.push({ token, username, expiresAt, createdAt: Date.now() });
+    await writeSessions(sessions);
+    
+    return token;
+}
+
+async function validateSession(token) {
+    if (!token) return null;
+    
+    const sessions = await readSessions();
+    const session = sessions.sessions.find(s => s.token === token && s.expiresAt > Date.now());
+    return session || null;
+}
+
+async function deleteSession(token) {
+    const sessions = await readSessions();
+    sessions.sessions = sessions.sessions.filter(s => s.token !== token);
+    await writeSessions(sessions);
+}
+
+// Guest tokens open one booking and are kept apart from admin sessions,
+// so validateSession never accepts them
+async function createGuestToken(bookingId) {
+    const token = generateToken();
+    const expiresAt = Date.now() + (CONFIG.GUEST_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
+    
+    const sessions = await readSessions();
+    sessions.guestTokens = (sessions.guestTokens || []).filter(t => t.expiresAt > Date.now());
+    sessions.guestTokens.push({ token, bookingId, expiresAt, createdAt: Date.now() });
+    await writeSessions(sessions);
+    
+    return { token, expiresAt };
+}
+
+async function validateGuestToken(token, bookingId) {
+    if (!token) return null;
+    
+    const sessions = await readSessions();
+    const guestToken = (sessions.guestTokens || []).find(t => t.token === token && t.bookingId === bookingId && t.expiresAt > Date.now());
+    return guestToken || null;
+}
+
+function getTokenFromRequest(req) {
+    // Check Authorization header
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7);
+    }
+    
+    // Check cookie
+    const cookies = req.headers.cookie;
+    if (cookies) {
+        const match = cookies.match(/admin_token=([^;]+)/);
+        if (match) return match[1];
+    }
+    
+    return null;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+function generateId(prefix = 'BK') {
+    return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+async function parseBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+        const maxSize = 1024 * 1024; // 1MB limit
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            body += chunk.toString();
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, statusCode, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'X-XSS-Protection': '1; mode=block',
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+async function serveStaticFile(res, filePath, baseDir = CONFIG.PUBLIC_DIR) {
+    // Prevent directory traversal
+    const normalizedPath = path.normalize(filePath);
+    if (!normalizedPath.startsWith(baseDir)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden');
+        return;
+    }
+    
+    const ext = path.extname(filePath).toLowerCase();
+    const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
+    
+    try {
+        const data = await fs.readFile(filePath);
+        res.writeHead(200, { 
+            'Content-Type': mimeType,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(data);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            // Try serving index.html for SPA behavior
+            try {
+                const indexData = await fs.readFile(path.join(CONFIG.PUBLIC_DIR, 'index.html'));
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(indexData);
+            } catch {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('404 Not Found');
+            }
+        } else {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Server Error');
+        }
+    }
+}
+
+function getClientIP(req) {
+    return req.headers['x-forwarded-for']?.split(',')[0].trim() || 
+           req.connection?.remoteAddress || 
+           'unknown';
+}
+
+function log(level, message, data = {}) {
+    const timestamp = new Date().toISOString();
+    const logEntry = { timestamp, level, message, ...data };
+    console.log(JSON.stringify(logEntry));
+}
+
+// ============================================
+// API HANDLERS
+// ============================================
+async function handleAPI(req, res, pathname) {
+    const method = req.method;
+    const ip = getClientIP(req);
+    
+    // CORS preflight
+    if (method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Guest-Token'
+        });
+        res.end();
+        return;
+    }
+    
+    try {
+        // ==================
+        // PUBLIC ENDPOINTS
+        // ==================
+        
+        // Health check
+        if (pathname === '/api/health') {
+            sendJSON(res, 200, { 
+                status: 'OK', 
+                message: 'Naqsh Resort API is running',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+        
+        // Get pricing (public - for frontend)
+        if (pathname === '/api/pricing' && method === 'GET') {
+            sendJSON(res, 200, {
+                success: true,
+                pricing: {
+                    group: {
+                        maxGuests: getPricing().group.maxGuests,
+                        packages: getGroupPackages(),
+                        addOns: getPricing().group.addOns || [],
+                        occasions: GROUP_OCCASIONS
+                    },
+                    extras: getPricing().extras || [],
+                    rooms: getPricing().rooms,
+                    cancellationPolicy: getCancellationPolicy(),
+                    checkInTime: CONFIG.CHECK_IN_TIME
+                }
+            });
+            return;
+        }
+        
+        // Availability calendar (public - for date pickers)
+        // GET /api/availability?month=YYYY-MM  or  ?from=YYYY-MM-DD&to=YYYY-MM-DD (to is exclusive)
+        if (pathname === '/api/availability' && method === 'GET') {
+            const query = url.parse(req.url, true).query;
+            let from = query.from;
+            let to = query.to;
+            
+            if (query.month) {
+                if (!/^\d{4}-\d{2}$/.test(query.month)) {
+                    sendJSON(res, 400, { success: false, message: 'Month must be in YYYY-MM format' });
+                    return;
+                }
+                from = `${query.month}-01`;
+                to = getNextMonthStart(query.month);
+            }
+            
+            if (!Validator.isDate(from) || !Validator.isDate(to)) {
+                sendJSON(res, 400, { success: false, message: 'Provide a month or valid from/to dates' });
+                return;
+            }
+            
+            // Counted without building the dates, so a huge range is refused cheaply
+            const nights = daysBetween(from, to);
+            if (nights < 1 || nights > CONFIG.AVAILABILITY_MAX_DAYS) {
+                sendJSON(res, 400, { success: false, message: `Date range must cover 1-${CONFIG.AVAILABILITY_MAX_DAYS} nights` });
+                return;
+            }
+            
+            const data = await readData();
+            const totals = {};
+            getRoomCategories().forEach(category => {
+                totals[category] = getRoomsByCategory(category).length;
+            });
+            
+            sendJSON(res, 200, {
+                success: true,
+                from,
+                to,
+                totalRooms: totals,
+                calendar: getAvailabilityCalendar(data, from, to)
+            });
+            return;
+        }
+        
+        // Calculate price (server-side calculation)
+        if (pathname === '/api/calculate-price' && method === 'POST') {
+            const body = await parseBody(req);
+            
+            const parsed = parseStay(body, { roomType: 'Deluxe Garden' });
+            if (parsed.error) {
+                sendJSON(res, 400, { success: false, message: parsed.error });
+                return;
+            }
+            const { stay } = parsed;
+            const result = priceStay(stay);
+            
+            if (result.error) {
+                sendJSON(res, 400, { success: false, message: result.error, ...(result.restriction ? { restriction: result.restriction } : {}) });
+                return;
+            }
+            
+            // A bad code still returns the normal price, with promoError for the form to show
+            let quote = result;
+            let promoError;
+            if (body.promoCode) {
+                const promo = applyPromoCode(await readData(), body.promoCode, stay, result, body.guestPhone);
+                if (promo.error) promoError = promo.error;
+                else quote = promo.quote;
+            }
+            
+            sendJSON(res, 200, { success: true, ...applyTax(quote), ...(promoError ? { promoError } : {}) });
+            return;
+        }
+        
+        // Create booking (PUBLIC - but with server-side validation)
+        if (pathname === '/api/bookings' && method === 'POST') {
+            const body = await parseBody(req);
+            
+            // Validate required fields
+            if (!Validator.isString(body.guestName, 2, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Valid guest name is required (2-100 chars)' });
+                return;
+            }
+            if (!Validator.isPhone(body.guestPhone)) {
+                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+                return;
+            }
+            const parsed = parseStay(body);
+            if (parsed.error) {
+                sendJSON(res, 400, { success: false, message: parsed.error });
+                return;
+            }
+            const { stay } = parsed;
+            
+            // Validate dates are in the future
+            // "Today" is the resort's date in India, not the server's
+            if (stay.checkIn < getResortToday()) {
+                sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
+                return;
+            }
+            
+            // SERVER-SIDE PRICE CALCULATION (never trust client!)
+            let priceResult = priceStay(stay);
+            
+            if (priceResult.error) {
+                sendJSON(res, 400, { success: false, message: priceResult.error, ...(priceResult.restriction ? { restriction: priceResult.restriction } : {}) });
+                return;
+            }
+            
+            await withData({ actor: 'guest', ip }, async (data, save) => {
+                
+                // INVENTORY CHECK (never sell a room we don't have)
+                const availability = checkStayAvailability(data, stay);
+                if (!availability.available) {
+                    log('info', 'Booking rejected - sold out', { isGroupBooking: stay.isGroupBooking, soldOutDates: availability.soldOutDates, ip });
+                    sendJSON(res, 409, {
+                        success: false,
+                        message: availability.message,
+                        soldOutDates: availability.soldOutDates,
+                        unavailable: availability.unavailable,
+                        waitlistAvailable: true
+                    });
+                    return;
+                }
+                
+                const extrasCapacity = checkExtrasCapacity(data, priceResult.extras);
+                if (!extrasCapacity.available) {
+                    sendJSON(res, 409, { success: false, message: extrasCapacity.message, extra: extrasCapacity.extra });
+                    return;
+                }
+                
+                if (body.promoCode) {
+                    const promo = applyPromoCode(data, body.promoCode, stay, priceResult, body.guestPhone);
+                    if (promo.error) {
+                        sendJSON(res, 400, { success: false, message: promo.error });
+                        return;
+                    }
+                    priceResult = promo.quote;
+                }
+                priceResult = applyTax(priceResult);
+                
+                const booking = buildBooking(stay, {
+                    guestName: Validator.sanitizeString(body.guestName),
+                    guestPhone: Validator.sanitizeString(body.guestPhone),
+                    guestEmail: Validator.sanitizeString(body.guestEmail || ''),
+                    ip,
+                    notes: Validator.sanitizeString(body.notes || '')
+                }, priceResult);
+                
+                data.bookings.push(booking);
+                await save();
+                
+                log('info', 'Booking created', { bookingId: booking.id, ip });
+                
+                sendJSON(res, 201, {
+                    success: true,
+                    data: {
+                        id: booking.id,
+                        totalAmount: booking.totalAmount,
+                        nights: booking.nights,
+                        roomType: booking.roomType,
+                        ...(booking.promoCode ? { promoCode: booking.promoCode, subtotal: booking.subtotal } : {})
+                    },
+                    message: 'Booking request received! We will contact you shortly.'
+                });
+                return;
+            });
+            return;
+        }
+        
+        // Join the waitlist for sold-out dates (PUBLIC)
+        // Body: same fields as POST /api/bookings
+        if (pathname === '/api/waitlist' && method === 'POST') {
+            const body = await parseBody(req);
+            
+            if (!Validator.isString(body.guestName, 2, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Valid guest name is required (2-100 chars)' });
+                return;
+            }
+            if (!Validator.isPhone(body.guestPhone)) {
+                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+                return;
+            }
+            const parsed = parseStay(body);
+            if (parsed.error) {
+                sendJSON(res, 400, { success: false, message: parsed.error });
+                return;
+            }
+            const { stay } = parsed;
+            
+            if (stay.checkIn < getResortToday()) {
+                sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
+                return;
+            }
+            
+            // Don't queue a stay we couldn't sell even if rooms were free (stay rules, occupancy)
+            const priceResult = priceStay(stay);
+            if (priceResult.error) {
+                sendJSON(res, 400, { success: false, message: priceResult.error });
+                return;
+            }
+            
+            await withData({ actor: 'guest', ip }, async (data, save) => {
+                
+                if (checkStayAvailability(data, stay).available) {
+                    sendJSON(res, 409, { success: false, message: 'Good news - these dates are available. Please book directly.' });
+                    return;
+                }
+                
+                data.waitlist = data.waitlist || [];
+                const entry = {
+                    id: generateId('WL'),
+                    guestName: Validator.sanitizeString(body.guestName),
+                    guestPhone: Validator.sanitizeString(body.guestPhone),
+                    guestEmail: Validator.sanitizeString(body.guestEmail || ''),
+                    checkIn: stay.checkIn,
+                    checkOut: stay.checkOut,
+                    isGroupBooking: stay.isGroupBooking,
+                    rooms: stay.lines,
+                    roomType: stay.isGroupBooking ? 'Full Resort' : describeRoomLines(stay.lines),
+                    guests: stay.guests,
+                    ...(stay.isGroupBooking ? { occasion: stay.occasion, addOns: stay.addOns } : {}),
+                    ...(stay.extras.length ? { extras: stay.extras } : {}),
+                    notes: Validator.sanitizeString(body.notes || ''),
+                    status: 'Waiting',
+                    createdAt: new Date().toISOString(),
+                    ip: ip
+                };
+                
+                data.waitlist.push(entry);
+                await save();
+                
+                log('info', 'Waitlist entry created', { entryId: entry.id, ip });
+                
+                sendJSON(res, 201, {
+                    success: true,
+                    data: { id: entry.id },
+                    message: "You're on the waitlist! We'll call you if a room opens up."
+                });
+                return;
+            });
+            return;
+        }
+        
+        // View a saved quote (PUBLIC - the ID is the share link)
+        if (pathname.match(/^\/api\/quotes\/[A-Z0-9]+$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const quote = (data.quotes || []).find(q => q.id === id);
+            
+            if (!quote) {
+                sendJSON(res, 404, { success: false, message: 'Quote not found' });
+                return;
+            }
+            
+            sendJSON(res, 200, { success: true, data: toPublicQuote(quote) });
+            return;
+        }
+        
+        // Book a saved quote at its quoted price (PUBLIC)
+        // Body: { guestName, guestPhone, guestEmail?, notes? }
+        if (pathname.match(/^\/api\/quotes\/[A-Z0-9]+\/book$/) && method === 'POST') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            
+            if (!Validator.isString(body.guestName, 2, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Valid guest name is required (2-100 chars)' });
+                return;
+            }
+            if (!Validator.isPhone(body.guestPhone)) {
+                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+                return;
+            }
+            if (!Validator.isEmail(body.guestEmail)) {
+                sendJSON(res, 400, { success: false, message: 'Invalid email format' });
+                return;
+            }
+            
+            await withData({ actor: 'guest', ip }, async (data, save) => {
+                const quote = (data.quotes || []).find(q => q.id === id);
+                
+                if (!quote) {
+                    sendJSON(res, 404, { success: false, message: 'Quote not found' });
+                    return;
+                }
+                
+                const status = getQuoteStatus(quote);
+                if (status !== 'Active') {
+                    const reason = { Expired: 'has expired', Booked: 'has already been booked', Withdrawn: 'has been withdrawn' }[status];
+                    sendJSON(res, 409, { success: false, message: `This quote ${reason}. Please contact us for a new one.` });
+                    return;
+                }
+                if (quote.checkIn < getResortToday()) {
+                    sendJSON(res, 409, { success: false, message: 'The check-in date of this quote has passed. Please contact us for a new one.' });
+                    return;
+                }
+                
+                // The price is honoured, but the rooms and add-ons still have to be free
+                const stay = getQuoteStay(quote);
+                const availability = checkStayAvailability(data, stay);
+                if (!availability.available) {
+                    sendJSON(res, 409, { success: false, message: availability.message, soldOutDates: availability.soldOutDates });
+                    return;
+                }
+                const extrasCapacity = checkExtrasCapacity(data, quote.price.extras);
+                if (!extrasCapacity.available) {
+                    sendJSON(res, 409, { success: false, message: extrasCapacity.message, extra: extrasCapacity.extra });
+                    return;
+                }
+                
+                // ...and so does a use of its promo code
+                const promo = quote.price.promoCode && (data.promos || []).find(p => p.code === quote.price.promoCode);
+                const promoError = promo && checkPromoUsage(data, promo, body.guestPhone);
+                if (promoError) {
+                    sendJSON(res, 409, { success: false, message: `${promoError.error}. Please contact us for a new quote.` });
+                    return;
+                }
+                
+                const booking = buildBooking(stay, {
+                    guestName: Validator.sanitizeString(body.guestName),
+                    guestPhone: Validator.sanitizeString(body.guestPhone),
+                    guestEmail: Validator.sanitizeString(body.guestEmail || ''),
+                    ip,
+                    notes: Validator.sanitizeString(body.notes || '')
+                }, quote.price);
+                booking.quoteId = quote.id;
+                
+                quote.status = 'Booked';
+                quote.bookingId = booking.id;
+                quote.bookedAt = booking.createdAt;
+                data.bookings.push(booking);
+                await save();
+                
+                log('info', 'Quote booked', { quoteId: quote.id, bookingId: booking.id, ip });
+                
+                sendJSON(res, 201, {
+                    success: true,
+                    data: {
+                        id: booking.id,
+                        totalAmount: booking.totalAmount,
+                        nights: booking.nights,
+                        roomType: booking.roomType
+                    },
+                    message: 'Booking request received! We will contact you shortly.'
+                });
+                return;
+            });
+            return;
+        }
+        
+        // Guest booking lookup (PUBLIC) - returns a token scoped to this one booking
+        // Body: { bookingId, phone }
+        if (pathname === '/api/guest/lookup' && method === 'POST') {
+            const body = await parseBody(req);
+            const bookingId = typeof body.bookingId === 'string' ? body.bookingId.trim().toUpperCase() : '';
+            
+            if (!bookingId || !Validator.isPhone(body.phone)) {
+                sendJSON(res, 400, { success: false, message: 'Booking ID and phone number are required' });
+                return;
+            }
+            
+            const data = await readData();
+            const booking = data.bookings.find(b => b.id === bookingId);
+            
+            // Same answer for a wrong ID and a wrong phone, so IDs can't be probed
+            if (!booking || normalizePhone(booking.guestPhone) !== normalizePhone(body.phone)) {
+                log('warn', 'Guest lookup failed', { bookingId, ip });
+                sendJSON(res, 404, { success: false, message: 'No booking matches that ID and phone number' });
+                return;
+            }
+            
+            const guestToken = await createGuestToken(booking.id);
+            log('info', 'Guest lookup', { bookingId: booking.id, ip });
+            
+            sendJSON(res, 200, {
+                success: true,
+                token: guestToken.token,
+                expiresAt: new Date(guestToken.expiresAt).toISOString(),
+                data: toGuestBooking(booking)
+            });
+            return;
+        }
+        
+        // Guest booking actions (PUBLIC, X-Guest-Token header from /api/guest/lookup)
+        if (pathname.match(/^\/api\/guest\/bookings\/[A-Z0-9]+(\/(change|cancel))?$/)) {
+            const id = pathname.split('/')[4];
+            const action = pathname.split('/')[5] || null;
+            
+            if (!(await validateGuestToken(req.headers['x-guest-token'], id))) {
+                sendJSON(res, 401, { success: false, message: 'Please look up your booking again' });
+                return;
+            }
+            
+            const body = method === 'POST' ? await parseBody(req) : {};
+            
+            await withData({ actor: 'guest', ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                    return;
+                }
+                
+                // GET /api/guest/bookings/:id
+                if (!action && method === 'GET') {
+                    sendJSON(res, 200, { success: true, data: toGuestBooking(booking) });
+                    return;
+                }
+                
+                // POST /api/guest/bookings/:id/change  Body: { checkIn, checkOut, preview? }
+                // preview prices the new dates without saving them
+                if (action === 'change' && method === 'POST') {
+                    if (!getGuestActions(booking).canChange) {
+                        sendJSON(res, 409, { success: false, message: 'This booking can no longer be changed online. Please contact us.' });
+                        return;
+                    }
+                    if (!Validator.isDate(body.checkIn) || !Validator.isDate(body.checkOut) || body.checkIn >= body.checkOut) {
+                        sendJSON(res, 400, { success: false, message: 'Valid check-in and check-out dates required' });
+                        return;
+                    }
+                    if (body.checkIn < getResortToday()) {
+                        sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
+                        return;
+                    }
+                    if (body.checkIn === booking.checkIn && body.checkOut === booking.checkOut) {
+                        sendJSON(res, 400, { success: false, message: 'These are already your booking dates' });
+                        return;
+                    }
+                    
+                    const stay = getBookingStay(booking, body.checkIn, body.checkOut);
+                    const repriced = repriceBookingStay(data, booking, stay);
+                    if (repriced.error) {
+                        sendJSON(res, repriced.status, { success: false, message: repriced.error });
+                        return;
+                    }
+                    
+                    const { priceResult } = repriced;
+                    const difference = priceResult.total - booking.totalAmount;
+                    
+                    if (body.preview === true) {
+                        sendJSON(res, 200, {
+                            success: true,
+                            preview: true,
+                            data: {
+                                checkIn: stay.checkIn,
+                                checkOut: stay.checkOut,
+                                nights: priceResult.nights,
+                                breakdown: priceResult.breakdown,
+                                extras: priceResult.extras,
+                                adjustments: priceResult.adjustments,
+                                baseAmount: priceResult.baseAmount,
+                                taxAmount: priceResult.taxAmount,
+                                total: priceResult.total,
+                                previousTotal: booking.totalAmount,
+                                difference
+                            }
+                        });
+                        return;
+                    }
+                    
+                    recordBookingChange(booking, applyBookingChange(data, booking, stay, priceResult), 'guest');
+                    await save();
+                    
+                    log('info', 'Guest changed booking dates', { bookingId: id, checkIn: stay.checkIn, checkOut: stay.checkOut, difference, ip });
+                    
+                    sendJSON(res, 200, { success: true, data: toGuestBooking(booking), difference, message: 'Your booking dates have been changed.' });
+                    return;
+                }
+                
+                // POST /api/guest/bookings/:id/cancel  Body: { reason? }
+                if (action === 'cancel' && method === 'POST') {
+                    if (!getGuestActions(booking).canCancel) {
+                        sendJSON(res, 409, { success: false, message: 'This booking can no longer be cancelled online. Please contact us.' });
+                        return;
+                    }
+                    
+                    const reason = Validator.sanitizeString(body.reason).slice(0, 200);
+                    setBookingStatus(booking, 'Cancelled', 'guest', reason ? `Cancelled by guest: ${reason}` : 'Cancelled by guest');
+                    booking.refund = calculateRefund(booking);
+                    
+                    const offer = createWaitlistOffer(data, booking);
+                    await save();
+                    
+                    log('info', 'Guest cancelled booking', { bookingId: id, ip });
+                    if (offer) {
+                        log('info', 'Waitlist offer created', { entryId: offer.entry.id, bookingId: offer.booking.id });
+                    }
+                    
+                    sendJSON(res, 200, {
+                        success: true,
+                        data: toGuestBooking(booking),
+                        message: booking.refund.amount > 0
+                            ? `Your booking has been cancelled. ₹${booking.refund.amount.toLocaleString('en-IN')} will be refunded to you.`
+                            : 'Your booking has been cancelled.'
+                    });
+                    return;
+                }
+                
+                sendJSON(res, 404, { success: false, message: 'API endpoint not found' });
+            });
+            return;
+        }
+        
+        // Create inquiry (PUBLIC)
+        if (pathname === '/api/inquiries' && method === 'POST') {
+            const body = await parseBody(req);
+            
+            if (!Validator.isString(body.name, 2, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Valid name is required' });
+                return;
+            }
+            if (!Validator.isPhone(body.phone)) {
+                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+                return;
+            }
+            if (!Validator.isString(body.message, 10, 2000)) {
+                sendJSON(res, 400, { success: false, message: 'Message must be 10-2000 characters' });
+                return;
+            }
+            
+            await withData({ actor: 'guest', ip }, async (data, save) => {
+                
+                const inquiry = {
+                    id: generateId('INQ'),
+                    name: Validator.sanitizeString(body.name),
+                    phone: Validator.sanitizeString(body.phone),
+                    email: Validator.sanitizeString(body.email || ''),
+                    inquiryType: Validator.sanitizeString(body.inquiryType || 'General'),
+                    message: Validator.sanitizeString(body.message),
+                    status: 'New',
+                    createdAt: new Date().toISOString(),
+                    ip: ip
+                };
+                
+                data.inquiries.push(inquiry);
+                await save();
+                
+                log('info', 'Inquiry created', { inquiryId: inquiry.id, ip });
+                
+                sendJSON(res, 201, {
+                    success: true,
+                    data: { id: inquiry.id },
+                    message: 'Thank you for your message! We will get back to you soon.'
+                });
+                return;
+            });
+            return;
+        }
+        
+        // ==================
+        // AUTHENTICATION
+        // ==================
+        
+        // Admin login
+        if (pathname === '/api/auth/login' && method === 'POST') {
+            const body = await parseBody(req);
+            
+            const username = body.username || '';
+            const password = body.password || '';
+            
+            // Simple credential check (in production, use proper hashing)
+            if (username === CONFIG.ADMIN_USERNAME && password === CONFIG.ADMIN_PASSWORD) {
+                const token = await createSession(username);
+                
+                
+                log('info', 'Admin login successful', { username, ip });
+                
+                // Set cookie
+                res.setHeader('Set-Cookie', `admin_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${CONFIG.SESSION_EXPIRY_HOURS * 3600}`);
+                
+                sendJSON(res, 200, {
+                    success: true,
+                    token,
+                    message: 'Login successful',
+                    expiresIn: CONFIG.SESSION_EXPIRY_HOURS * 60 * 60
+                });
+            } else {
+                log('warn', 'Admin login failed', { username, ip });
+                sendJSON(res, 401, { success: false, message: 'Invalid credentials' });
+            }
+            return;
+        }
+        
+        // Admin logout
+        if (pathname === '/api/auth/logout' && method === 'POST') {
+            const token = getTokenFromRequest(req);
+            if (token) {
+                await deleteSession(token);
+            }
+            res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0');
+            sendJSON(res, 200, { success: true, message: 'Logged out' });
+            return;
+        }
+        
+        // Check auth status
+        if (pathname === '/api/auth/check' && method === 'GET') {
+            const token = getTokenFromRequest(req);
+            const session = await validateSession(token);
+            
+            if (session) {
+                sendJSON(res, 200, { success: true, authenticated: true, username: session.username });
+            } else {
+                sendJSON(res, 200, { success: true, authenticated: false });
+            }
+            return;
+        }
+        
+        // ==================
+        // PROTECTED ENDPOINTS (Require Authentication)
+        // ==================
+        
+        const token = getTokenFromRequest(req);
+        const session = await validateSession(token);
+        
+        // Check if protected endpoint
+        const protectedPaths = [
+            '/api/bookings',
+            '/api/inquiries', 
+            '/api/stats',
+            '/api/waitlist'
+        ];
+        
+        // Admin-only resources (every method)
+        const adminPaths = [
+            '/api/tape-chart',
+            '/api/blocks',
+            '/api/rates',
+            '/api/promos',
+            '/api/extras',
+            '/api/quotes'
+        ];
+        
+        const isProtectedGET = protectedPaths.some(p => pathname.startsWith(p)) && method === 'GET';
+        const isProtectedPUT = pathname.startsWith('/api/bookings/') && method === 'PUT';
+        const isProtectedPOST = pathname.startsWith('/api/bookings/') && method === 'POST';
+        const isProtectedDELETE = (pathname.startsWith('/api/bookings/') || pathname.startsWith('/api/waitlist/')) && method === 'DELETE';
+        const isAdminPath = adminPaths.some(p => pathname.startsWith(p));
+        
+        if ((isProtectedGET || isProtectedPUT || isProtectedPOST || isProtectedDELETE || isAdminPath) && !session) {
+            sendJSON(res, 401, { success: false, message: 'Authentication required' });
+            return;
+        }
+        
+        // Get all bookings (PROTECTED)
+        if (pathname === '/api/bookings' && method === 'GET') {
+            const data = await readData();
+            sendJSON(res, 200, {
+                success: true,
+                count: data.bookings.length,
+                data: data.bookings
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                    .map(booking => ({ ...booking, paymentSummary: getPaymentSummary(booking) }))
+            });
+            return;
+        }
+        
+        // Archived (deleted) bookings, newest first (PROTECTED)
+        if (pathname === '/api/bookings/archived' && method === 'GET') {
+            const data = await readData();
+            const archived = (data.archivedBookings || [])
+                .slice()
+                .sort((a, b) => b.archived.at.localeCompare(a.archived.at))
+                .map(booking => ({ ...booking, purgeableFrom: getPurgeDate(booking) }));
+            sendJSON(res, 200, { success: true, count: archived.length, data: archived });
+            return;
+        }
+        
+        // Get single booking (PROTECTED)
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const booking = data.bookings.find(b => b.id === id) || (data.archivedBookings || []).find(b => b.id === id);
+            
+            if (booking) {
+                sendJSON(res, 200, { success: true, data: { ...booking, paymentSummary: getPaymentSummary(booking) } });
+            } else {
+                sendJSON(res, 404, { success: false, message: 'Booking not found' });
+            }
+            return;
+        }
+        
+        // Refund a cancellation would give right now (PROTECTED)
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/refund$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const booking = data.bookings.find(b => b.id === id);
+            
+            if (!booking) {
+                sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                return;
+            }
+            
+            sendJSON(res, 200, { success: true, data: booking.refund || calculateRefund(booking) });
+            return;
+        }
+        
+        // A booking's payments ledger and balance (PROTECTED)
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/payments$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const booking = data.bookings.find(b => b.id === id) || (data.archivedBookings || []).find(b => b.id === id);
+            
+            if (!booking) {
+                sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                return;
+            }
+            
+            sendJSON(res, 200, { success: true, data: getPaymentLedger(booking), summary: getPaymentSummary(booking) });
+            return;
+        }
+        
+        // Record a payment or refund against a booking (PROTECTED)
+        // Body: { type: 'payment' | 'refund', amount, method, reference?, note? }
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/payments$/) && method === 'POST') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            const type = body.type || 'payment';
+            
+            if (!['payment', 'refund'].includes(type)) {
+                sendJSON(res, 400, { success: false, message: 'Type must be payment or refund' });
+                return;
+            }
+            if (!Number.isInteger(body.amount) || body.amount <= 0) {
+                sendJSON(res, 400, { success: false, message: 'Amount must be a positive whole number' });
+                return;
+            }
+            if (!CONFIG.PAYMENT_METHODS.includes(body.method)) {
+                sendJSON(res, 400, { success: false, message: `Method must be one of: ${CONFIG.PAYMENT_METHODS.join(', ')}` });
+                return;
+            }
+            if (body.reference !== undefined && !Validator.isString(body.reference, 0, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Reference must be text (max 100 chars)' });
+                return;
+            }
+            if (body.note !== undefined && !Validator.isString(body.note, 0, 200)) {
+                sendJSON(res, 400, { success: false, message: 'Note must be text (max 200 chars)' });
+                return;
+            }
+            
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                    return;
+                }
+                
+                const result = recordPayment(booking, {
+                    type,
+                    amount: body.amount,
+                    method: body.method,
+                    reference: Validator.sanitizeString(body.reference || ''),
+                    note: Validator.sanitizeString(body.note || '')
+                }, session.username);
+                if (result.error) {
+                    sendJSON(res, 400, { success: false, message: result.error });
+                    return;
+                }
+                await save();
+                
+                log('info', type === 'refund' ? 'Refund recorded' : 'Payment recorded', { bookingId: id, amount: body.amount, method: body.method, by: session.username });
+                
+                sendJSON(res, 201, { success: true, data: result.entry, summary: getPaymentSummary(booking) });
+                return;
+            });
+            return;
+        }
+        
+        // A booking's audit log, oldest first (PROTECTED). Kept even after the booking is purged.
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/history$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const history = getAuditHistory(data, 'booking', id);
+            const exists = [...data.bookings, ...(data.archivedBookings || [])].some(b => b.id === id);
+            
+            if (!exists && history.length === 0) {
+                sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                return;
+            }
+            
+            sendJSON(res, 200, { success: true, count: history.length, data: history });
+            return;
+        }
+        
+        // Update booking status (PROTECTED)
+        // Body: { status }
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'PUT') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const index = data.bookings.findIndex(b => b.id === id);
+                
+                if (index !== -1) {
+                    const booking = data.bookings[index];
+                    
+                    if (body.amountPaid !== undefined) {
+                        sendJSON(res, 400, { success: false, message: 'Amount paid comes from the payments ledger. Record a payment instead.' });
+                        return;
+                    }
+                    
+                    if (body.status && Validator.isBookingStatus(body.status)) {
+                        const transitionError = checkStatusTransition(booking, body.status);
+                        if (transitionError) {
+                            sendJSON(res, 409, { success: false, message: transitionError });
+                            return;
+                        }
+                        
+                        const releasesInventory = holdsInventory(booking) && !INVENTORY_HOLDING_STATUSES.includes(body.status);
+                        
+                        const retakesInventory = !holdsInventory(booking) && INVENTORY_HOLDING_STATUSES.includes(body.status);
+                        
+                        // Reviving an expired or cancelled booking (or a no-show who turns up) only works if its rooms are still free
+                        if (retakesInventory) {
+                            const availability = checkStayAvailability(data, {
+                                checkIn: booking.checkIn,
+                                checkOut: booking.checkOut,
+                                isGroupBooking: booking.isGroupBooking,
+                                lines: getRoomLines(booking)
+                            }, booking.id);
+                            if (!availability.available) {
+                                sendJSON(res, 409, { success: false, message: `The rooms for this booking have been re-sold: ${availability.soldOutDates.join(', ')}` });
+                                return;
+                            }
+                            const extrasCapacity = checkExtrasCapacity(data, booking.extras, booking.id);
+                            if (!extrasCapacity.available) {
+                                sendJSON(res, 409, { success: false, message: extrasCapacity.message });
+                                return;
+                            }
+                        }
+                        
+                        setBookingStatus(booking, body.status, session.username);
+                        if (body.status === 'Cancelled' && releasesInventory) {
+                            booking.refund = calculateRefund(booking);
+                        }
+                        // A revived booking no longer owes the refund from its cancellation
+                        if (retakesInventory) delete booking.refund;
+                        if (retakesInventory && body.status === 'Pending') {
+                            booking.holdExpiresAt = new Date(Date.now() + CONFIG.HOLD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+                        }
+                        
+                        // Freed rooms go to the earliest matching waitlist guest as a held offer
+                        const offer = releasesInventory ? createWaitlistOffer(data, booking) : null;
+                        await save();
+                        
+                        log('info', 'Booking updated', { bookingId: id, status: body.status, by: session.username });
+                        if (offer) {
+                            log('info', 'Waitlist offer created', { entryId: offer.entry.id, bookingId: offer.booking.id });
+                        }
+                        
+                        sendJSON(res, 200, {
+                            success: true,
+                            data: booking,
+                            waitlistOffer: offer ? {
+                                entryId: offer.entry.id,
+                                bookingId: offer.booking.id,
+                                guestName: offer.entry.guestName,
+                                guestPhone: offer.entry.guestPhone,
+                                checkIn: offer.entry.checkIn,
+                                checkOut: offer.entry.checkOut,
+                                roomType: offer.booking.roomType,
+                                totalAmount: offer.booking.totalAmount
+                            } : null
+                        });
+                    } else {
+                        sendJSON(res, 400, { success: false, message: 'Invalid status' });
+                    }
+                } else {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                }
+                return;
+            });
+            return;
+        }
+        
+        // Edit a booking (PROTECTED)
+        // Body: any of guestName, guestPhone, guestEmail, notes and the stay fields in STAY_EDIT_FIELDS,
+        // plus an optional note. Stay edits are checked against availability and repriced at current
+        // rates; preview: true returns the new price without saving.
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/details$/) && method === 'PUT') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                    return;
+                }
+                
+                if (body.guestName !== undefined && !Validator.isString(body.guestName, 2, 100)) {
+                    sendJSON(res, 400, { success: false, message: 'Valid guest name is required (2-100 chars)' });
+                    return;
+                }
+                if (body.guestPhone !== undefined && !Validator.isPhone(body.guestPhone)) {
+                    sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+                    return;
+                }
+                if (body.guestEmail !== undefined && !Validator.isEmail(body.guestEmail)) {
+                    sendJSON(res, 400, { success: false, message: 'Invalid email format' });
+                    return;
+                }
+                if (body.notes !== undefined && !Validator.isString(body.notes, 0, 1000)) {
+                    sendJSON(res, 400, { success: false, message: 'Notes must be text (max 1000 chars)' });
+                    return;
+                }
+                
+                const details = {};
+                ['guestName', 'guestPhone', 'guestEmail', 'notes'].forEach(field => {
+                    if (body[field] === undefined) return;
+                    const value = Validator.sanitizeString(body[field]);
+                    if (value !== (booking[field] || '')) details[field] = value;
+                });
+                
+                const edits = parseStayEdits(booking, body);
+                if (edits.error) {
+                    sendJSON(res, 400, { success: false, message: edits.error });
+                    return;
+                }
+                
+                let priceResult = null;
+                if (edits.stay) {
+                    const today = getResortToday();
+                    if (!holdsInventory(booking)) {
+                        sendJSON(res, 409, { success: false, message: `The stay of a ${booking.status} booking can't be changed` });
+                        return;
+                    }
+                    if (edits.stay.checkIn !== booking.checkIn) {
+                        if (booking.status === 'CheckedIn') {
+                            sendJSON(res, 409, { success: false, message: 'The guest has checked in; only the check-out date can change' });
+                            return;
+                        }
+                        if (edits.stay.checkIn < today) {
+                            sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
+                            return;
+                        }
+                    }
+                    if (edits.stay.checkOut !== booking.checkOut && edits.stay.checkOut <= today) {
+                        sendJSON(res, 400, { success: false, message: 'Check-out date must be after today' });
+                        return;
+                    }
+                    
+                    const repriced = repriceBookingStay(data, booking, edits.stay);
+                    if (repriced.error) {
+                        sendJSON(res, repriced.status, { success: false, message: repriced.error });
+                        return;
+                    }
+                    priceResult = repriced.priceResult;
+                }
+                
+                if (!priceResult && Object.keys(details).length === 0) {
+                    sendJSON(res, 400, { success: false, message: 'Nothing to change' });
+                    return;
+                }
+                
+                const priceChange = priceResult ? {
+                    previousTotal: booking.totalAmount,
+                    total: priceResult.total,
+                    difference: priceResult.total - booking.totalAmount
+                } : null;
+                
+                if (body.preview === true) {
+                    sendJSON(res, 200, {
+                        success: true,
+                        preview: true,
+                        data: priceResult ? {
+                            checkIn: edits.stay.checkIn,
+                            checkOut: edits.stay.checkOut,
+                            nights: priceResult.nights,
+                            roomType: priceResult.roomType,
+                            mealPlan: priceResult.mealPlan,
+                            lines: priceResult.lines,
+                            extras: priceResult.extras,
+                            breakdown: priceResult.breakdown,
+                            adjustments: priceResult.adjustments,
+                            baseAmount: priceResult.baseAmount,
+                            taxAmount: priceResult.taxAmount,
+                            total: priceResult.total
+                        } : null,
+                        priceChange
+                    });
+                    return;
+                }
+                
+                const change = priceResult ? applyBookingChange(data, booking, edits.stay, priceResult) : { from: {}, to: {} };
+                Object.entries(details).forEach(([field, value]) => {
+                    change.from[field] = booking[field] || '';
+                    change.to[field] = value;
+                    booking[field] = value;
+                });
+                recordBookingChange(booking, change, session.username, Validator.sanitizeString(body.note).slice(0, 200));
+                await save();
+                
+                log('info', 'Booking edited', { bookingId: id, fields: Object.keys(change.to), difference: priceChange && priceChange.difference, by: session.username });
+                
+                sendJSON(res, 200, { success: true, data: booking, priceChange });
+                return;
+            });
+            return;
+        }
+        
+        // Delete booking (PROTECTED) - archives it; see ARCHIVED BOOKINGS
+        // Body: { reason }
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            
+            if (!Validator.isString(body.reason, 2, 200)) {
+                sendJSON(res, 400, { success: false, message: 'Reason is required (2-200 chars)' });
+                return;
+            }
+            
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                
+                if (booking) {
+                    const blocker = getArchiveBlocker(booking);
+                    if (blocker) {
+                        sendJSON(res, 409, { success: false, message: blocker });
+                        return;
+                    }
+                    
+                    archiveBooking(data, booking, session.username, Validator.sanitizeString(body.reason));
+                    await save();
+                    
+                    log('info', 'Booking archived', { bookingId: id, by: session.username });
+                    
+                    sendJSON(res, 200, { success: true, message: 'Booking archived', purgeableFrom: getPurgeDate(booking) });
+                } else {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                }
+                return;
+            });
+            return;
+        }
+        
+        // Restore an archived booking (PROTECTED)
+        // A booking that held rooms only comes back if they are still free
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/restore$/) && method === 'PUT') {
+            const id = pathname.split('/')[3];
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = (data.archivedBookings || []).find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Archived booking not found' });
+                    return;
+                }
+                
+                if (holdsInventory(booking)) {
+                    const availability = checkStayAvailability(data, {
+                        checkIn: booking.checkIn,
+                        checkOut: booking.checkOut,
+                        isGroupBooking: booking.isGroupBooking,
+                        lines: getRoomLines(booking)
+                    }, booking.id);
+                    if (!availability.available) {
+                        sendJSON(res, 409, { success: false, message: `The rooms for this booking have been re-sold: ${availability.soldOutDates.join(', ')}` });
+                        return;
+                    }
+                    const extrasCapacity = checkExtrasCapacity(data, booking.extras, booking.id);
+                    if (!extrasCapacity.available) {
+                        sendJSON(res, 409, { success: false, message: extrasCapacity.message });
+                        return;
+                    }
+                }
+                
+                restoreBooking(data, booking, session.username);
+                await save();
+                
+                log('info', 'Booking restored', { bookingId: id, by: session.username });
+                
+                sendJSON(res, 200, { success: true, data: booking });
+                return;
+            });
+            return;
+        }
+        
+        // Permanently delete an archived booking (OWNER ONLY)
+        // Body: { username, password } - the owner's credentials, not the admin login. Only after the retention period.
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/purge$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            
+            if (!CONFIG.OWNER_PASSWORD) {
+                sendJSON(res, 403, { success: false, message: 'Purging is disabled until an owner password is configured' });
+                return;
+            }
+            if (body.username !== CONFIG.OWNER_USERNAME || body.password !== CONFIG.OWNER_PASSWORD) {
+                log('warn', 'Booking purge refused', { bookingId: id, by: session.username, ip });
+                sendJSON(res, 403, { success: false, message: "Only the owner can purge bookings. Please enter the owner's username and password." });
+                return;
+            }
+            
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = (data.archivedBookings || []).find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Archived booking not found' });
+                    return;
+                }
+                
+                const purgeableFrom = getPurgeDate(booking);
+                if (new Date().toISOString() < purgeableFrom) {
+                    sendJSON(res, 409, { success: false, message: `Archived bookings are kept for ${CONFIG.ARCHIVE_RETENTION_DAYS} days. This one can be purged from ${purgeableFrom.slice(0, 10)}.` });
+                    return;
+                }
+                
+                data.archivedBookings = data.archivedBookings.filter(b => b.id !== id);
+                await save();
+                
+                log('warn', 'Booking purged', { bookingId: id, archivedAt: booking.archived.at, by: session.username });
+                
+                sendJSON(res, 200, { success: true, message: 'Booking permanently deleted' });
+                return;
+            });
+            return;
+        }
+        
+        // Assign or move a booking's room line to a specific room (PROTECTED)
+        // Body: { roomNumber, line } - line is the index into booking.rooms (default 0)
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/room$/) && method === 'PUT') {
+            const id = pathname.split('/')[3];
+            const body = await parseBody(req);
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                    return;
+                }
+                if (!holdsInventory(booking)) {
+                    sendJSON(res, 400, { success: false, message: `Cannot assign a room to a ${booking.status} booking` });
+                    return;
+                }
+                if (booking.isGroupBooking) {
+                    sendJSON(res, 400, { success: false, message: 'Full Resort bookings use every room' });
+                    return;
+                }
+                
+                const lines = ensureRoomLines(booking);
+                const lineIndex = body.line === undefined ? 0 : Number(body.line);
+                const line = lines[lineIndex];
+                if (!line) {
+                    sendJSON(res, 400, { success: false, message: 'Invalid room line' });
+                    return;
+                }
+                
+                const room = findRoom(body.roomNumber);
+                if (!room) {
+                    sendJSON(res, 400, { success: false, message: 'Invalid room number' });
+                    return;
+                }
+                if (room.category !== line.roomType) {
+                    sendJSON(res, 400, { success: false, message: `Room ${room.number} is ${room.category}, this line is for ${line.roomType}` });
+                    return;
+                }
+                
+                const blockedDates = getStayDates(booking.checkIn, booking.checkOut).filter(date => isRoomBlocked(data.blocks, room.number, date));
+                if (blockedDates.length > 0) {
+                    sendJSON(res, 409, { success: false, message: `Room ${room.number} is out of order on ${blockedDates.join(', ')}` });
+                    return;
+                }
+                
+                const conflicts = findRoomConflicts(data.bookings, room.number, booking.checkIn, booking.checkOut, { bookingId: booking.id, line: lineIndex });
+                if (conflicts.length > 0) {
+                    sendJSON(res, 409, {
+                        success: false,
+                        message: `Room ${room.number} is already assigned for these dates`,
+                        conflicts
+                    });
+                    return;
+                }
+                
+                const previousRoom = line.roomNumber || null;
+                line.roomNumber = room.number;
+                line.roomAssignedAt = new Date().toISOString();
+                line.roomAssignedBy = session.username;
+                await save();
+                
+                log('info', previousRoom ? 'Booking moved' : 'Room assigned', { bookingId: id, line: lineIndex, from: previousRoom, to: room.number, by: session.username });
+                
+                sendJSON(res, 200, { success: true, data: booking });
+                return;
+            });
+            return;
+        }
+        
+        // Unassign a booking's room line (PROTECTED)
+        // DELETE /api/bookings/:id/room?line=0
+        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+\/room$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            const query = url.parse(req.url, true).query;
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const booking = data.bookings.find(b => b.id === id);
+                
+                if (!booking) {
+                    sendJSON(res, 404, { success: false, message: 'Booking not found' });
+                    return;
+                }
+                
+                const lineIndex = query.line === undefined ? 0 : Number(query.line);
+                const line = ensureRoomLines(booking)[lineIndex];
+                if (!line) {
+                    sendJSON(res, 400, { success: false, message: 'Invalid room line' });
+                    return;
+                }
+                
+                const previousRoom = line.roomNumber || null;
+                delete line.roomNumber;
+                delete line.roomAssignedAt;
+                delete line.roomAssignedBy;
+                await save();
+                
+                log('info', 'Room unassigned', { bookingId: id, line: lineIndex, from: previousRoom, by: session.username });
+                
+                sendJSON(res, 200, { success: true, data: booking });
+                return;
             });
             return;
         }
         
-        // Get pricing (public - for frontend)
-        if (pathname === '/api/pricing' && method === 'GET') {
+        // Tape chart: rooms x nights (PROTECTED)
+        // GET /api/tape-chart?from=YYYY-MM-DD&days=14
+        if (pathname === '/api/tape-chart' && method === 'GET') {
+            const query = url.parse(req.url, true).query;
+            const from = query.from;
+            const days = Validator.isNumber(query.days, 1, CONFIG.AVAILABILITY_MAX_DAYS) ? parseInt(query.days) : 14;
+            
+            if (!Validator.isDate(from)) {
+                sendJSON(res, 400, { success: false, message: 'Valid from date required' });
+                return;
+            }
+            
+            const to = addDays(from, days);
+            
+            const data = await readData();
+            sendJSON(res, 200, { success: true, data: buildTapeChart(data, from, to) });
+            return;
+        }
+        
+        // Get the editable rate sheet (ADMIN)
+        if (pathname === '/api/rates' && method === 'GET') {
+            const pricing = getPricing();
             sendJSON(res, 200, {
                 success: true,
-                pricing: CONFIG.PRICING
+                data: {
+                    ...pricing,
+                    group: { ...pricing.group, packages: getGroupPackages(), addOns: pricing.group.addOns || [] },
+                    extras: pricing.extras || [],
+                    tax: getTaxRules(),
+                    cancellationPolicy: getCancellationPolicy(),
+                    occasions: GROUP_OCCASIONS
+                }
             });
             return;
         }
         
-        // Calculate price (server-side calculation)
-        if (pathname === '/api/calculate-price' && method === 'POST') {
+        // Replace the rate sheet (ADMIN)
+        // Body: the whole sheet as returned by GET /api/rates (group, extras, rooms, seasons, overrides, restrictions, lengthOfStayDiscounts, tax, cancellationPolicy)
+        if (pathname === '/api/rates' && method === 'PUT') {
             const body = await parseBody(req);
+            const result = validateRates(body);
             
-            if (!Validator.isDate(body.checkIn) || !Validator.isDate(body.checkOut)) {
-                sendJSON(res, 400, { success: false, message: 'Invalid dates' });
+            if (result.error) {
+                sendJSON(res, 400, { success: false, message: result.error });
                 return;
             }
             
-            const result = calculatePrice(
-                body.checkIn,
-                body.checkOut,
-                body.roomType || 'Deluxe Garden',
-                body.mealPlan || 'EP',
-                body.isGroupBooking || false
-            );
+            await saveRates(result.pricing, session.username);
             
-            if (result.error) {
-                sendJSON(res, 400, { success: false, message: result.error });
+            log('info', 'Rates updated', { by: session.username });
+            
+            sendJSON(res, 200, { success: true, data: getPricing(), message: 'Rates saved' });
+            return;
+        }
+        
+        // Add-ons to fulfil on a date (ADMIN)
+        // GET /api/extras?date=YYYY-MM-DD
+        if (pathname === '/api/extras' && method === 'GET') {
+            const query = url.parse(req.url, true).query;
+            if (!Validator.isDate(query.date)) {
+                sendJSON(res, 400, { success: false, message: 'Valid date required' });
                 return;
             }
             
-            sendJSON(res, 200, { success: true, ...result });
+            const data = await readData();
+            const schedule = buildExtrasSchedule(data, query.date);
+            sendJSON(res, 200, { success: true, count: schedule.rows.length, data: schedule });
             return;
         }
         
-        // Create booking (PUBLIC - but with server-side validation)
-        if (pathname === '/api/bookings' && method === 'POST') {
+        // List maintenance blocks & blackout dates (ADMIN)
+        if (pathname === '/api/blocks' && method === 'GET') {
+            const data = await readData();
+            const blocks = (data.blocks || []).slice().sort((a, b) => a.startDate.localeCompare(b.startDate));
+            sendJSON(res, 200, { success: true, count: blocks.length, data: blocks });
+            return;
+        }
+        
+        // Create a block (ADMIN)
+        // Body: { roomNumber (omit for whole resort), startDate, endDate (exclusive), reason }
+        if (pathname === '/api/blocks' && method === 'POST') {
             const body = await parseBody(req);
             
-            // Validate required fields
-            if (!Validator.isString(body.guestName, 2, 100)) {
-                sendJSON(res, 400, { success: false, message: 'Valid guest name is required (2-100 chars)' });
+            if (!Validator.isDate(body.startDate) || !Validator.isDate(body.endDate) || body.startDate >= body.endDate) {
+                sendJSON(res, 400, { success: false, message: 'Valid start and end dates required (end after start)' });
                 return;
             }
-            if (!Validator.isPhone(body.guestPhone)) {
-                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
-                return;
-            }
-            if (!Validator.isDate(body.checkIn) || !Validator.isDate(body.checkOut)) {
-                sendJSON(res, 400, { success: false, message: 'Valid check-in and check-out dates required' });
+            if (body.roomNumber && !findRoom(body.roomNumber)) {
+                sendJSON(res, 400, { success: false, message: 'Invalid room number' });
                 return;
             }
-            
-            // Validate dates are in the future
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            if (new Date(body.checkIn) < today) {
-                sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
+            if (!Validator.isString(body.reason, 2, 200)) {
+                sendJSON(res, 400, { success: false, message: 'Reason is required (2-200 chars)' });
                 return;
             }
             
-            const isGroupBooking = body.isGroupBooking === true;
-            const roomType = isGroupBooking ? 'Full Resort' : Validator.sanitizeString(body.roomType);
-            const mealPlan = Validator.isMealPlan(body.mealPlan) ? body.mealPlan : 'EP';
-            
-            // Validate room type for non-group bookings
-            if (!isGroupBooking && !Validator.isRoomType(roomType)) {
-                sendJSON(res, 400, { success: false, message: 'Invalid room type' });
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                data.blocks = data.blocks || [];
+                
+                const block = {
+                    id: generateId('BLK'),
+                    roomNumber: body.roomNumber || null,
+                    startDate: body.startDate,
+                    endDate: body.endDate,
+                    reason: Validator.sanitizeString(body.reason),
+                    createdAt: new Date().toISOString(),
+                    createdBy: session.username
+                };
+                
+                // Rooms already sold in the category can't be taken off sale
+                const shortfalls = findBlockShortfalls(data, block);
+                if (shortfalls.length > 0) {
+                    sendJSON(res, 409, {
+                        success: false,
+                        message: `Not enough rooms left to block: ${shortfalls.map(f => `${f.date} ${f.category} (${f.sold} sold, ${f.open} open)`).join(', ')}`,
+                        shortfalls
+                    });
+                    return;
+                }
+                
+                // Warn about live bookings the block now overlaps - staff must move or call these guests
+                const affected = data.bookings.filter(b =>
+                    holdsInventory(b) &&
+                    staysOverlap(b, { checkIn: block.startDate, checkOut: block.endDate }) &&
+                    (!block.roomNumber || b.isGroupBooking || getRoomLines(b).some(line => line.roomNumber === block.roomNumber))
+                );
+                
+                data.blocks.push(block);
+                await save();
+                
+                log('info', 'Block created', { blockId: block.id, roomNumber: block.roomNumber, by: session.username });
+                
+                sendJSON(res, 201, {
+                    success: true,
+                    data: block,
+                    affectedBookings: affected.map(b => ({ id: b.id, guestName: b.guestName, checkIn: b.checkIn, checkOut: b.checkOut }))
+                });
                 return;
-            }
-            
-            // SERVER-SIDE PRICE CALCULATION (never trust client!)
-            const priceResult = calculatePrice(
-                body.checkIn,
-                body.checkOut,
-                roomType,
-                mealPlan,
-                isGroupBooking
-            );
-            
-            if (priceResult.error) {
-                sendJSON(res, 400, { success: false, message: priceResult.error });
+            });
+            return;
+        }
+        
+        // Remove a block (ADMIN)
+        if (pathname.match(/^\/api\/blocks\/[A-Z0-9]+$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const index = (data.blocks || []).findIndex(b => b.id === id);
+                
+                if (index !== -1) {
+                    data.blocks.splice(index, 1);
+                    await save();
+                    
+                    log('info', 'Block removed', { blockId: id, by: session.username });
+                    
+                    sendJSON(res, 200, { success: true, message: 'Block removed' });
+                } else {
+                    sendJSON(res, 404, { success: false, message: 'Block not found' });
+                }
                 return;
-            }
-            
-            const data = await readData();
-            
-            const booking = {
-                id: generateId('BK'),
-                guestName: Validator.sanitizeString(body.guestName),
-                guestPhone: Validator.sanitizeString(body.guestPhone),
-                guestEmail: Validator.sanitizeString(body.guestEmail || ''),
-                checkIn: body.checkIn,
-                checkOut: body.checkOut,
-                roomType: priceResult.roomType,
-                isGroupBooking,
-                guests: Validator.isNumber(body.guests, 1, 30) ? parseInt(body.guests) : 2,
-                mealPlan: priceResult.mealPlan,
-                totalAmount: priceResult.total, // Server-calculated!
-                nights: priceResult.nights,
-                priceBreakdown: priceResult.breakdown,
-                status: 'Pending',
-                createdAt: new Date().toISOString(),
-                ip: ip,
-                notes: Validator.sanitizeString(body.notes || '')
-            };
-            
-            data.bookings.push(booking);
-            await writeData(data);
-            
-            log('info', 'Booking created', { bookingId: booking.id, ip });
-            
-            sendJSON(res, 201, {
-                success: true,
-                data: {
-                    id: booking.id,
-                    totalAmount: booking.totalAmount,
-                    nights: booking.nights,
-                    roomType: booking.roomType
-                },
-                message: 'Booking request received! We will contact you shortly.'
             });
             return;
         }
         
-        // Create inquiry (PUBLIC)
-        if (pathname === '/api/inquiries' && method === 'POST') {
+        // List saved quotes, newest first (ADMIN)
+        if (pathname === '/api/quotes' && method === 'GET') {
+            const data = await readData();
+            const quotes = (data.quotes || [])
+                .map(quote => ({ ...quote, status: getQuoteStatus(quote) }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            sendJSON(res, 200, { success: true, count: quotes.length, data: quotes });
+            return;
+        }
+        
+        // Price a stay and save it as a shareable quote (ADMIN)
+        // Body: the stay fields of POST /api/bookings (rooms, extras, promoCode...) plus
+        //       guestName?, guestPhone?, message? (shown to the guest), validDays? (default QUOTE_VALID_DAYS)
+        if (pathname === '/api/quotes' && method === 'POST') {
             const body = await parseBody(req);
             
-            if (!Validator.isString(body.name, 2, 100)) {
-                sendJSON(res, 400, { success: false, message: 'Valid name is required' });
+            const parsed = parseStay(body);
+            if (parsed.error) {
+                sendJSON(res, 400, { success: false, message: parsed.error });
                 return;
             }
-            if (!Validator.isPhone(body.phone)) {
-                sendJSON(res, 400, { success: false, message: 'Valid phone number is required' });
+            const { stay } = parsed;
+            
+            if (stay.checkIn < getResortToday()) {
+                sendJSON(res, 400, { success: false, message: 'Check-in date must be today or later' });
                 return;
             }
-            if (!Validator.isString(body.message, 10, 2000)) {
-                sendJSON(res, 400, { success: false, message: 'Message must be 10-2000 characters' });
+            if (body.guestName && !Validator.isString(body.guestName, 2, 100)) {
+                sendJSON(res, 400, { success: false, message: 'Guest name must be 2-100 chars' });
+                return;
+            }
+            if (body.guestPhone && !Validator.isPhone(body.guestPhone)) {
+                sendJSON(res, 400, { success: false, message: 'Invalid phone number' });
+                return;
+            }
+            if (body.message && !Validator.isString(body.message, 0, 500)) {
+                sendJSON(res, 400, { success: false, message: 'Message must be at most 500 chars' });
+                return;
+            }
+            const validDays = body.validDays === undefined || body.validDays === '' ? CONFIG.QUOTE_VALID_DAYS : Number(body.validDays);
+            if (!Number.isInteger(validDays) || validDays < 1 || validDays > 30) {
+                sendJSON(res, 400, { success: false, message: 'Quotes can be valid for 1-30 days' });
                 return;
             }
             
-            const data = await readData();
-            
-            const inquiry = {
-                id: generateId('INQ'),
-                name: Validator.sanitizeString(body.name),
-                phone: Validator.sanitizeString(body.phone),
-                email: Validator.sanitizeString(body.email || ''),
-                inquiryType: Validator.sanitizeString(body.inquiryType || 'General'),
-                message: Validator.sanitizeString(body.message),
-                status: 'New',
-                createdAt: new Date().toISOString(),
-                ip: ip
-            };
-            
-            data.inquiries.push(inquiry);
-            await writeData(data);
-            
-            log('info', 'Inquiry created', { inquiryId: inquiry.id, ip });
+            let priceResult = priceStay(stay);
+            if (priceResult.error) {
+                sendJSON(res, 400, { success: false, message: priceResult.error, ...(priceResult.restriction ? { restriction: priceResult.restriction } : {}) });
+                return;
+            }
             
-            sendJSON(res, 201, {
-                success: true,
-                data: { id: inquiry.id },
-                message: 'Thank you for your message! We will get back to you soon.'
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                
+                const availability = checkStayAvailability(data, stay);
+                if (!availability.available) {
+                    sendJSON(res, 409, { success: false, message: availability.message, soldOutDates: availability.soldOutDates });
+                    return;
+                }
+                const extrasCapacity = checkExtrasCapacity(data, priceResult.extras);
+                if (!extrasCapacity.available) {
+                    sendJSON(res, 409, { success: false, message: extrasCapacity.message, extra: extrasCapacity.extra });
+                    return;
+                }
+                
+                if (body.promoCode) {
+                    const promo = applyPromoCode(data, body.promoCode, stay, priceResult, body.guestPhone);
+                    if (promo.error) {
+                        sendJSON(res, 400, { success: false, message: promo.error });
+                        return;
+                    }
+                    priceResult = promo.quote;
+                }
+                
+                // No point keeping a quote open past its own check-in
+                const lastDay = addDays(getResortToday(), validDays);
+                const quote = {
+                    id: generateId('QT'),
+                    guestName: body.guestName ? Validator.sanitizeString(body.guestName) : '',
+                    guestPhone: body.guestPhone ? Validator.sanitizeString(body.guestPhone) : '',
+                    message: body.message ? Validator.sanitizeString(body.message) : '',
+                    checkIn: stay.checkIn,
+                    checkOut: stay.checkOut,
+                    isGroupBooking: stay.isGroupBooking,
+                    rooms: stay.lines,
+                    guests: stay.guests,
+                    ...(stay.isGroupBooking ? { occasion: stay.occasion, addOns: stay.addOns } : {}),
+                    ...(stay.extras.length ? { extras: stay.extras } : {}),
+                    price: applyTax(priceResult),
+                    status: 'Active',
+                    expiresOn: lastDay < stay.checkIn ? lastDay : stay.checkIn,
+                    createdAt: new Date().toISOString(),
+                    createdBy: session.username
+                };
+                
+                data.quotes = data.quotes || [];
+                data.quotes.push(quote);
+                await save();
+                
+                log('info', 'Quote created', { quoteId: quote.id, by: session.username });
+                
+                sendJSON(res, 201, { success: true, data: quote, message: 'Quote saved' });
+                return;
             });
             return;
         }
         
-        // ==================
-        // AUTHENTICATION
-        // ==================
-        
-        // Admin login
-        if (pathname === '/api/auth/login' && method === 'POST') {
-            const body = await parseBody(req);
-            
-            const username = body.username || '';
-            const password = body.password || '';
-            
-            // Simple credential check (in production, use proper hashing)
-            if (username === CONFIG.ADMIN_USERNAME && password === CONFIG.ADMIN_PASSWORD) {
-                const token = await createSession(username);
+        // Withdraw a quote so it can no longer be booked (ADMIN)
+        if (pathname.match(/^\/api\/quotes\/[A-Z0-9]+$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const quote = (data.quotes || []).find(q => q.id === id);
                 
+                if (!quote) {
+                    sendJSON(res, 404, { success: false, message: 'Quote not found' });
+                    return;
+                }
+                if (quote.status === 'Booked') {
+                    sendJSON(res, 409, { success: false, message: `This quote was booked as ${quote.bookingId}` });
+                    return;
+                }
                 
-                log('info', 'Admin login successful', { username, ip });
+                quote.status = 'Withdrawn';
+                quote.withdrawnAt = new Date().toISOString();
+                quote.withdrawnBy = session.username;
+                await save();
                 
-                // Set cookie
-                res.setHeader('Set-Cookie', `admin_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${CONFIG.SESSION_EXPIRY_HOURS * 3600}`);
+                log('info', 'Quote withdrawn', { quoteId: id, by: session.username });
                 
-                sendJSON(res, 200, {
-                    success: true,
-                    token,
-                    message: 'Login successful',
-                    expiresIn: CONFIG.SESSION_EXPIRY_HOURS * 60 * 60
-                });
-            } else {
-                log('warn', 'Admin login failed', { username, ip });
-                sendJSON(res, 401, { success: false, message: 'Invalid credentials' });
-            }
-            return;
-        }
-        
-        // Admin logout
-        if (pathname === '/api/auth/logout' && method === 'POST') {
-            const token = getTokenFromRequest(req);
-            if (token) {
-                await deleteSession(token);
-            }
-            res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0');
-            sendJSON(res, 200, { success: true, message: 'Logged out' });
+                sendJSON(res, 200, { success: true, message: 'Quote withdrawn' });
+                return;
+            });
             return;
         }
         
-        // Check auth status
-        if (pathname === '/api/auth/check' && method === 'GET') {
-            const token = getTokenFromRequest(req);
-            const session = await validateSession(token);
-            
-            if (session) {
-                sendJSON(res, 200, { success: true, authenticated: true, username: session.username });
-            } else {
-                sendJSON(res, 200, { success: true, authenticated: false });
-            }
+        // List promo codes with how often each has been used (ADMIN)
+        if (pathname === '/api/promos' && method === 'GET') {
+            const data = await readData();
+            const promos = (data.promos || []).map(promo => {
+                const usage = getPromoUsage(data, promo.code);
+                return {
+                    ...promo,
+                    timesUsed: usage.length,
+                    totalDiscount: usage.reduce((sum, b) => sum - (b.priceAdjustments || [])
+                        .filter(a => a.type === 'promo')
+                        .reduce((s, a) => s + a.amount, 0), 0)
+                };
+            }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            sendJSON(res, 200, { success: true, count: promos.length, data: promos });
             return;
         }
         
-        // ==================
-        // PROTECTED ENDPOINTS (Require Authentication)
-        // ==================
-        
-        const token = getTokenFromRequest(req);
-        const session = await validateSession(token);
-        
-        // Check if protected endpoint
-        const protectedPaths = [
-            '/api/bookings',
-            '/api/inquiries', 
-            '/api/stats'
-        ];
-        
-        const isProtectedGET = protectedPaths.some(p => pathname.startsWith(p)) && method === 'GET';
-        const isProtectedPUT = pathname.startsWith('/api/bookings/') && method === 'PUT';
-        const isProtectedDELETE = pathname.startsWith('/api/bookings/') && method === 'DELETE';
-        
-        if ((isProtectedGET || isProtectedPUT || isProtectedDELETE) && !session) {
-            sendJSON(res, 401, { success: false, message: 'Authentication required' });
+        // Create a promo code (ADMIN)
+        // Body: { code, type: 'percent'|'flat', value, validFrom?, validTo?, stayFrom?, stayTo?,
+        //         minNights?, roomTypes?, maxUses?, maxUsesPerPhone?, description? }
+        if (pathname === '/api/promos' && method === 'POST') {
+            const body = await parseBody(req);
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const result = validatePromo(body, data);
+                
+                if (result.error) {
+                    sendJSON(res, 400, { success: false, message: result.error });
+                    return;
+                }
+                
+                const promo = { ...result.promo, createdAt: new Date().toISOString(), createdBy: session.username };
+                data.promos = data.promos || [];
+                data.promos.push(promo);
+                await save();
+                
+                log('info', 'Promo code created', { code: promo.code, by: session.username });
+                
+                sendJSON(res, 201, { success: true, data: promo });
+                return;
+            });
             return;
         }
         
-        // Get all bookings (PROTECTED)
-        if (pathname === '/api/bookings' && method === 'GET') {
-            const data = await readData();
-            sendJSON(res, 200, {
-                success: true,
-                count: data.bookings.length,
-                data: data.bookings.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        // Deactivate a promo code (ADMIN) - kept so past bookings still show where their discount came from
+        if (pathname.match(/^\/api\/promos\/[A-Z0-9]+$/) && method === 'DELETE') {
+            const id = pathname.split('/')[3];
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const promo = (data.promos || []).find(p => p.id === id);
+                
+                if (!promo) {
+                    sendJSON(res, 404, { success: false, message: 'Promo code not found' });
+                    return;
+                }
+                
+                if (promo.active) {
+                    promo.active = false;
+                    promo.deactivatedAt = new Date().toISOString();
+                    promo.deactivatedBy = session.username;
+                    await save();
+                    log('info', 'Promo code deactivated', { code: promo.code, by: session.username });
+                }
+                
+                sendJSON(res, 200, { success: true, data: promo, message: `${promo.code} deactivated` });
+                return;
             });
             return;
         }
         
-        // Get single booking (PROTECTED)
-        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'GET') {
-            const id = pathname.split('/')[3];
+        // Get waitlist (PROTECTED)
+        if (pathname === '/api/waitlist' && method === 'GET') {
             const data = await readData();
-            const booking = data.bookings.find(b => b.id === id);
-            
-            if (booking) {
-                sendJSON(res, 200, { success: true, data: booking });
-            } else {
-                sendJSON(res, 404, { success: false, message: 'Booking not found' });
-            }
+            const waitlist = (data.waitlist || []).slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            sendJSON(res, 200, { success: true, count: waitlist.length, data: waitlist });
             return;
         }
         
-        // Update booking (PROTECTED)
-        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'PUT') {
+        // Remove a waitlist entry (PROTECTED)
+        if (pathname.match(/^\/api\/waitlist\/[A-Z0-9]+$/) && method === 'DELETE') {
             const id = pathname.split('/')[3];
-            const body = await parseBody(req);
-            const data = await readData();
-            const index = data.bookings.findIndex(b => b.id === id);
-            
-            if (index !== -1) {
-                // Only allow status update
-                if (body.status && Validator.isBookingStatus(body.status)) {
-                    data.bookings[index].status = body.status;
-                    data.bookings[index].updatedAt = new Date().toISOString();
-                    data.bookings[index].updatedBy = session.username;
-                    await writeData(data);
+            await withData({ actor: session.username, ip }, async (data, save) => {
+                const entry = (data.waitlist || []).find(e => e.id === id);
+                
+                if (entry) {
+                    entry.status = 'Removed';
+                    entry.updatedAt = new Date().toISOString();
+                    entry.updatedBy = session.username;
+                    await save();
                     
-                    log('info', 'Booking updated', { bookingId: id, status: body.status, by: session.username });
+                    log('info', 'Waitlist entry removed', { entryId: id, by: session.username });
                     
-                    sendJSON(res, 200, { success: true, data: data.bookings[index] });
+                    sendJSON(res, 200, { success: true, message: 'Removed from waitlist' });
                 } else {
-                    sendJSON(res, 400, { success: false, message: 'Invalid status' });
+                    sendJSON(res, 404, { success: false, message: 'Waitlist entry not found' });
                 }
-            } else {
-                sendJSON(res, 404, { success: false, message: 'Booking not found' });
-            }
-            return;
-        }
-        
-        // Delete booking (PROTECTED)
-        if (pathname.match(/^\/api\/bookings\/[A-Z0-9]+$/) && method === 'DELETE') {
-            const id = pathname.split('/')[3];
-            const data = await readData();
-            const index = data.bookings.findIndex(b => b.id === id);
-            
-            if (index !== -1) {
-                data.bookings.splice(index, 1);
-                await writeData(data);
-                
-                log('info', 'Booking deleted', { bookingId: id, by: session.username });
-                
-                sendJSON(res, 200, { success: true, message: 'Booking deleted' });
-            } else {
-                sendJSON(res, 404, { success: false, message: 'Booking not found' });
-            }
+                return;
+            });
             return;
         }
         
@@ -802,14 +3645,33 @@ async function handleAPI(req, res, pathname) {
             return;
         }
         
+        // An inquiry's audit log, oldest first (PROTECTED)
+        if (pathname.match(/^\/api\/inquiries\/[A-Z0-9]+\/history$/) && method === 'GET') {
+            const id = pathname.split('/')[3];
+            const data = await readData();
+            const history = getAuditHistory(data, 'inquiry', id);
+            
+            if (!data.inquiries.some(i => i.id === id) && history.length === 0) {
+                sendJSON(res, 404, { success: false, message: 'Inquiry not found' });
+                return;
+            }
+            
+            sendJSON(res, 200, { success: true, count: history.length, data: history });
+            return;
+        }
+        
         // Get stats (PROTECTED)
         if (pathname === '/api/stats' && method === 'GET') {
             const data = await readData();
-            const now = new Date();
-            const thisMonth = data.bookings.filter(b => {
-                const created = new Date(b.createdAt);
-                return created.getMonth() === now.getMonth() && created.getFullYear() === now.getFullYear();
-            });
+            // Bookings made this month on the resort's calendar
+            const today = getResortToday();
+            const month = getMonthKey(today);
+            const inHouse = data.bookings.filter(b => b.status === 'CheckedIn');
+            const thisMonth = data.bookings.filter(b => getMonthKey(toResortDate(b.createdAt)) === month);
+            const payments = data.bookings.map(getPaymentSummary);
+            const thisMonthPayments = data.bookings
+                .flatMap(b => b.payments || [])
+                .filter(entry => getMonthKey(toResortDate(entry.at)) === month);
             
             sendJSON(res, 200, {
                 success: true,
@@ -817,11 +3679,23 @@ async function handleAPI(req, res, pathname) {
                     totalBookings: data.bookings.length,
                     pendingBookings: data.bookings.filter(b => b.status === 'Pending').length,
                     confirmedBookings: data.bookings.filter(b => b.status === 'Confirmed').length,
+                    arrivalsToday: data.bookings.filter(b => b.status === 'Confirmed' && b.checkIn === today).length,
+                    inHouseBookings: inHouse.length,
+                    inHouseGuests: inHouse.reduce((sum, b) => sum + (b.guests || 0), 0),
+                    departuresToday: inHouse.filter(b => b.checkOut <= today).length,
+                    checkedOutBookings: data.bookings.filter(b => b.status === 'CheckedOut').length,
+                    noShowBookings: data.bookings.filter(b => b.status === 'NoShow').length,
+                    thisMonthNoShows: data.bookings.filter(b => b.status === 'NoShow' && getMonthKey(b.checkIn) === month).length,
                     cancelledBookings: data.bookings.filter(b => b.status === 'Cancelled').length,
+                    expiredBookings: data.bookings.filter(b => b.status === 'Expired').length,
                     totalInquiries: data.inquiries.length,
                     newInquiries: data.inquiries.filter(i => i.status === 'New').length,
                     thisMonthBookings: thisMonth.length,
-                    thisMonthRevenue: thisMonth.filter(b => b.status !== 'Cancelled').reduce((sum, b) => sum + (b.totalAmount || 0), 0)
+                    thisMonthRevenue: thisMonth.filter(b => b.status !== 'Cancelled' && b.status !== 'Expired').reduce((sum, b) => sum + (b.totalAmount || 0), 0),
+                    balanceDue: payments.reduce((sum, p) => sum + p.balanceDue, 0),
+                    refundsDue: payments.reduce((sum, p) => sum + p.refundDue, 0),
+                    depositsOutstanding: payments.filter(p => p.depositOutstanding).length,
+                    thisMonthCollected: thisMonthPayments.reduce((sum, entry) => sum + (entry.type === 'refund' ? -entry.amount : entry.amount), 0)
                 }
             });
             return;
@@ -919,6 +3793,11 @@ const server = http.createServer(handleRequest);
 
 async function start() {
     await ensureDataFiles();
+    await loadRates();
+    
+    // Release lapsed Pending holds now and every few minutes
+    await sweepExpiredHolds();
+    setInterval(sweepExpiredHolds, CONFIG.HOLD_SWEEP_INTERVAL_MS);
     
     server.listen(CONFIG.PORT, () => {
         console.log('\n' + '='.repeat(50));
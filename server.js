@@ -8,10 +8,13 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const { setPricing, getPricing, getGroupPackages, priceStay, applyTax } = require('./lib/pricing');
+const { DEFAULT_PRICING } = require('./lib/resort');
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = path.join(__dirname, 'public');
 const DATA_FILE = path.join(__dirname, 'data', 'bookings.json');
+const RATES_FILE = path.join(__dirname, 'data', 'rates.json');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, 'data');
@@ -57,6 +60,34 @@ function writeData(data) {
     fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
 }
 
+// Helper: Read rates (data/rates.json is written by server-secure.js; defaults until it has run)
+function readRates() {
+    try {
+        return JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+    } catch (error) {
+        return DEFAULT_PRICING;
+    }
+}
+
+// Helper: Price a stay with lib/pricing.js, the same way server-secure.js does (tax included)
+function quoteStay(body) {
+    setPricing(readRates());
+    
+    // Without a head count a group is priced at the smallest package, as a room is priced for 2
+    const smallestPackage = getGroupPackages().reduce((a, b) => (b.minGuests < a.minGuests ? b : a));
+    const stay = body.isGroupBooking
+        ? { checkIn: body.checkIn, checkOut: body.checkOut, isGroupBooking: true, guests: parseInt(body.guests, 10) || smallestPackage.minGuests }
+        : {
+            checkIn: body.checkIn,
+            checkOut: body.checkOut,
+            isGroupBooking: false,
+            lines: [{ roomType: body.roomType || 'Deluxe Garden', mealPlan: body.mealPlan || 'EP', guests: parseInt(body.guests, 10) || 2 }]
+        };
+    
+    const result = priceStay(stay);
+    return result.error ? result : applyTax(result);
+}
+
 // Helper: Generate unique ID
 function generateId() {
     return 'BK' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).substr(2, 4).toUpperCase();
@@ -149,16 +180,10 @@ async function handleAPI(req, res, pathname) {
 
         // Pricing config (for frontend)
         if (pathname === '/api/pricing' && method === 'GET') {
+            setPricing(readRates());
             sendJSON(res, 200, {
                 success: true,
-                pricing: {
-                    group: { rate: 60000 },
-                    rooms: {
-                        "Deluxe Garden": { weekday: { ep: 1700, mapai: 2700 }, weekend: { ep: 2200, mapai: 3200 } },
-                        "Premium Valley": { weekday: { ep: 2000, mapai: 3000 }, weekend: { ep: 2600, mapai: 3600 } },
-                        "Family Suite": { weekday: { ep: 2700, mapai: 4300 }, weekend: { ep: 3500, mapai: 5500 } }
-                    }
-                }
+                pricing: { group: { maxGuests: getPricing().group.maxGuests, packages: getGroupPackages() }, rooms: getPricing().rooms }
             });
             return;
         }
@@ -166,65 +191,14 @@ async function handleAPI(req, res, pathname) {
         // Calculate price (server-side)
         if (pathname === '/api/calculate-price' && method === 'POST') {
             const body = await parseBody(req);
-            const checkIn = body.checkIn;
-            const checkOut = body.checkOut;
-            const roomType = body.roomType || 'Deluxe Garden';
-            const mealPlan = body.mealPlan || 'EP';
-            const isGroup = body.isGroupBooking || false;
-            
-            const PRICING = {
-                group: { rate: 60000 },
-                rooms: {
-                    "Deluxe Garden": { weekday: { ep: 1700, mapai: 2700 }, weekend: { ep: 2200, mapai: 3200 } },
-                    "Premium Valley": { weekday: { ep: 2000, mapai: 3000 }, weekend: { ep: 2600, mapai: 3600 } },
-                    "Family Suite": { weekday: { ep: 2700, mapai: 4300 }, weekend: { ep: 3500, mapai: 5500 } }
-                }
-            };
-            
-            if (!checkIn || !checkOut) {
-                sendJSON(res, 400, { success: false, message: 'Invalid dates' });
-                return;
-            }
+            const quote = quoteStay(body);
             
-            const startDate = new Date(checkIn);
-            const endDate = new Date(checkOut);
-            
-            if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate >= endDate) {
-                sendJSON(res, 400, { success: false, message: 'Invalid date range' });
+            if (quote.error) {
+                sendJSON(res, 400, { success: false, message: quote.error });
                 return;
             }
             
-            let total = 0;
-            const breakdown = [];
-            
-            for (let d = new Date(startDate); d < endDate; d.setDate(d.getDate() + 1)) {
-                const dayOfWeek = d.getDay();
-                const isWeekend = (dayOfWeek === 5 || dayOfWeek === 6);
-                const dateStr = d.toISOString().split('T')[0];
-                
-                let rate = 0;
-                if (isGroup) {
-                    rate = PRICING.group.rate;
-                } else {
-                    const room = PRICING.rooms[roomType];
-                    if (room) {
-                        const planKey = mealPlan === 'MAPAI' ? 'mapai' : 'ep';
-                        rate = isWeekend ? room.weekend[planKey] : room.weekday[planKey];
-                    }
-                }
-                
-                total += rate;
-                breakdown.push({ date: dateStr, isWeekend, rate });
-            }
-            
-            sendJSON(res, 200, {
-                success: true,
-                total,
-                nights: breakdown.length,
-                breakdown,
-                roomType: isGroup ? 'Full Resort' : roomType,
-                mealPlan: isGroup ? 'Included' : mealPlan
-            });
+            sendJSON(res, 200, { success: true, ...quote });
             return;
         }
 
@@ -232,46 +206,18 @@ async function handleAPI(req, res, pathname) {
         if (pathname === '/api/bookings' && method === 'POST') {
             const body = await parseBody(req);
             
-            // Server-side price calculation
-            const PRICING = {
-                group: { rate: 60000 },
-                rooms: {
-                    "Deluxe Garden": { weekday: { ep: 1700, mapai: 2700 }, weekend: { ep: 2200, mapai: 3200 } },
-                    "Premium Valley": { weekday: { ep: 2000, mapai: 3000 }, weekend: { ep: 2600, mapai: 3600 } },
-                    "Family Suite": { weekday: { ep: 2700, mapai: 4300 }, weekend: { ep: 3500, mapai: 5500 } }
-                }
-            };
-            
             const isGroup = body.isGroupBooking || false;
-            const roomType = isGroup ? 'Full Resort' : (body.roomType || 'Deluxe Garden');
             const mealPlan = body.mealPlan || 'EP';
             
-            // Calculate total server-side (never trust client!)
-            let totalAmount = 0;
-            let nights = 0;
-            
-            if (body.checkIn && body.checkOut) {
-                const startDate = new Date(body.checkIn);
-                const endDate = new Date(body.checkOut);
-                
-                if (!isNaN(startDate.getTime()) && !isNaN(endDate.getTime()) && startDate < endDate) {
-                    for (let d = new Date(startDate); d < endDate; d.setDate(d.getDate() + 1)) {
-                        const dayOfWeek = d.getDay();
-                        const isWeekend = (dayOfWeek === 5 || dayOfWeek === 6);
-                        
-                        if (isGroup) {
-                            totalAmount += PRICING.group.rate;
-                        } else {
-                            const room = PRICING.rooms[roomType];
-                            if (room) {
-                                const planKey = mealPlan === 'MAPAI' ? 'mapai' : 'ep';
-                                totalAmount += isWeekend ? room.weekend[planKey] : room.weekday[planKey];
-                            }
-                        }
-                        nights++;
-                    }
-                }
+            // Server-side price calculation (never trust client!)
+            const quote = quoteStay(body);
+            if (quote.error) {
+                sendJSON(res, 400, { success: false, message: quote.error });
+                return;
             }
+            const roomType = quote.roomType;
+            const totalAmount = quote.total;
+            const nights = quote.nights;
             
             const data = readData();
             
@@ -286,7 +232,8 @@ async function handleAPI(req, res, pathname) {
                 isGroupBooking: isGroup,
                 guests: body.guests || 2,
                 mealPlan: isGroup ? 'Included' : mealPlan,
-                totalAmount: totalAmount, // Server-calculated!
+                totalAmount: totalAmount, // Server-calculated, tax included
+                taxAmount: quote.taxAmount,
                 nights: nights,
                 status: 'Pending',
                 createdAt: new Date().toISOString(),
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseCalendarDate,
+    toResortDate,
+    toResortInstant,
+    addDays,
+    getStayDates,
+    getNextMonthStart
+} = require('../lib/calendar');
+
+test('addDays crosses month ends', () => {
+    assert.strictEqual(addDays('2026-01-31', 1), '2026-02-01');
+    assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+    assert.deepStrictEqual(getStayDates('2026-01-30', '2026-02-02'), ['2026-01-30', '2026-01-31', '2026-02-01']);
+});
+
+test('addDays crosses the year end', () => {
+    assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+    assert.deepStrictEqual(getStayDates('2026-12-31', '2027-01-02'), ['2026-12-31', '2027-01-01']);
+    assert.strictEqual(getNextMonthStart('2026-12'), '2027-01-01');
+    assert.strictEqual(getNextMonthStart('2026-01'), '2026-02-01');
+});
+
+test('Feb 29 exists only in leap years', () => {
+    assert.notStrictEqual(parseCalendarDate('2028-02-29'), null);
+    assert.strictEqual(parseCalendarDate('2026-02-29'), null);
+    assert.strictEqual(addDays('2028-02-28', 1), '2028-02-29');
+    assert.strictEqual(addDays('2026-02-28', 1), '2026-03-01');
+    assert.deepStrictEqual(getStayDates('2028-02-28', '2028-03-01'), ['2028-02-28', '2028-02-29']);
+    assert.deepStrictEqual(getStayDates('2026-02-28', '2026-03-01'), ['2026-02-28']);
+});
+
+test('parseCalendarDate rejects dates that do not exist', () => {
+    assert.strictEqual(parseCalendarDate('2026-02-30'), null);
+    assert.strictEqual(parseCalendarDate('2026-13-01'), null);
+    assert.strictEqual(parseCalendarDate('2026-2-3'), null);
+    assert.strictEqual(parseCalendarDate(null), null);
+    assert.strictEqual(parseCalendarDate('2026-02-28').toISOString(), '2026-02-28T00:00:00.000Z');
+});
+
+test('toResortDate turns over at IST midnight, not UTC midnight', () => {
+    // IST is UTC+5:30, so the resort's day starts at 18:30 UTC the evening before
+    assert.strictEqual(toResortDate('2026-03-31T18:29:59Z'), '2026-03-31');
+    assert.strictEqual(toResortDate('2026-03-31T18:30:00Z'), '2026-04-01');
+    assert.strictEqual(toResortDate('2026-03-31T23:59:59Z'), '2026-04-01');
+    assert.strictEqual(toResortDate('2026-04-01T00:00:00Z'), '2026-04-01');
+    assert.strictEqual(toResortDate('2026-12-31T18:30:00Z'), '2027-01-01');
+});
+
+test('toResortInstant reads wall-clock times in IST', () => {
+    assert.strictEqual(toResortInstant('2026-04-01', '12:00'), Date.parse('2026-04-01T06:30:00Z'));
+    assert.strictEqual(toResortInstant('2026-04-01', '00:00'), Date.parse('2026-03-31T18:30:00Z'));
+    assert.strictEqual(toResortDate(toResortInstant('2026-04-01', '00:00')), '2026-04-01');
+});
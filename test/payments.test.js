@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_PRICING } = require('../lib/resort');
+const { setPricing } = require('../lib/pricing');
+const { getPaymentLedger, getAmountPaid, calculateRefund } = require('../lib/payments');
+
+test.afterEach(() => setPricing(null));
+
+const HOUR = 60 * 60 * 1000;
+// Check-in is 12:00 India time, 06:30 UTC
+const CHECK_IN_AT = Date.parse('2026-03-10T06:30:00Z');
+const booking = (payments = [{ type: 'payment', amount: 10000 }]) => ({ checkIn: '2026-03-10', payments });
+const refundAt = (hoursBefore, b = booking()) => calculateRefund(b, CHECK_IN_AT - hoursBefore * HOUR);
+
+test('getAmountPaid nets refunds off the payments', () => {
+    assert.strictEqual(getAmountPaid(booking([{ type: 'payment', amount: 10000 }, { type: 'payment', amount: 5000 }, { type: 'refund', amount: 2000 }])), 13000);
+    assert.strictEqual(getAmountPaid(booking([])), 0);
+});
+
+test('a booking from before the ledger counts its amountPaid as one opening payment', () => {
+    const legacy = { checkIn: '2026-03-10', amountPaid: 4000, createdAt: '2026-01-01T00:00:00.000Z' };
+    assert.deepStrictEqual(getPaymentLedger(legacy).map(entry => [entry.id, entry.type, entry.amount]), [['OPENING', 'payment', 4000]]);
+    assert.strictEqual(getAmountPaid(legacy), 4000);
+    assert.deepStrictEqual(getPaymentLedger({ checkIn: '2026-03-10' }), []);
+});
+
+test('calculateRefund applies the tier the notice reaches', () => {
+    assert.deepStrictEqual([refundAt(200), refundAt(168), refundAt(167), refundAt(48), refundAt(47)].map(r => [r.percent, r.amount]), [
+        [100, 10000],
+        [100, 10000],
+        [50, 5000],
+        [50, 5000],
+        [0, 0]
+    ]);
+    assert.strictEqual(refundAt(168).rule, '100% refund with 7 days or more notice');
+    assert.strictEqual(refundAt(47).rule, 'No refund this close to check-in');
+});
+
+test('calculateRefund counts whole hours of notice up to check-in', () => {
+    const refund = calculateRefund(booking(), CHECK_IN_AT - 48 * HOUR + 1);
+    assert.strictEqual(refund.noticeHours, 47);
+    assert.strictEqual(refund.percent, 0);
+
+    const late = refundAt(-5);
+    assert.strictEqual(late.noticeHours, 0);
+    assert.strictEqual(late.amount, 0);
+    assert.strictEqual(late.calculatedAt, new Date(CHECK_IN_AT + 5 * HOUR).toISOString());
+});
+
+test('calculateRefund refunds a share of what has been paid so far', () => {
+    const refund = refundAt(100, booking([{ type: 'payment', amount: 7001 }, { type: 'refund', amount: 1000 }]));
+    assert.strictEqual(refund.amountPaid, 6001);
+    assert.strictEqual(refund.amount, 3001);
+    assert.strictEqual(refundAt(100, booking([])).amount, 0);
+});
+
+test('calculateRefund follows the cancellation policy in the rate sheet', () => {
+    setPricing({ ...structuredClone(DEFAULT_PRICING), cancellationPolicy: [{ minHoursBefore: 36, refundPercent: 75 }, { minHoursBefore: 0, refundPercent: 10 }] });
+    assert.deepStrictEqual([refundAt(168), refundAt(36), refundAt(2)].map(r => r.percent), [75, 75, 10]);
+    assert.strictEqual(refundAt(36).rule, '75% refund with 36 hours or more notice');
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_PRICING } = require('../lib/resort');
+const {
+    setPricing,
+    calculatePrice,
+    priceStay,
+    applyTax
+} = require('../lib/pricing');
+
+// A copy of the default rate sheet with some fields replaced; every test starts from the defaults
+const withPricing = changes => setPricing({ ...structuredClone(DEFAULT_PRICING), ...changes });
+test.afterEach(() => setPricing(null));
+
+const room = (roomType, adults = 2, children = 0, mealPlan = 'EP') => ({ roomType, mealPlan, adults, children, guests: adults + children });
+
+// 2026-01-05 is a Monday; Friday and Saturday nights are weekend nights
+test('calculatePrice charges weekday and weekend nights at their own rates', () => {
+    const result = calculatePrice('2026-01-08', '2026-01-10', 'Deluxe Garden', 'EP', false);
+    assert.strictEqual(result.nights, 2);
+    assert.deepStrictEqual(result.breakdown.map(night => [night.date, night.isWeekend, night.rate]), [
+        ['2026-01-08', false, 1700],
+        ['2026-01-09', true, 2200]
+    ]);
+    assert.strictEqual(result.total, 3900);
+});
+
+test('calculatePrice adds extra adults and children above the base occupancy', () => {
+    const adults = calculatePrice('2026-01-05', '2026-01-06', 'Deluxe Garden', 'MAPAI', false, { adults: 3, children: 0 });
+    assert.strictEqual(adults.total, 2700 + 1300);
+    assert.strictEqual(adults.extraAdults, 1);
+
+    const child = calculatePrice('2026-01-05', '2026-01-06', 'Deluxe Garden', 'EP', false, { adults: 2, children: 1 });
+    assert.strictEqual(child.total, 1700 + 500);
+    assert.strictEqual(child.extraChildren, 1);
+
+    // A child filling an empty base place is not charged
+    assert.strictEqual(calculatePrice('2026-01-05', '2026-01-06', 'Deluxe Garden', 'EP', false, { adults: 1, children: 1 }).total, 1700);
+});
+
+test('calculatePrice refuses bad dates, unknown rooms and parties over the room limits', () => {
+    assert.ok(calculatePrice('2026-02-30', '2026-03-02', 'Deluxe Garden', 'EP', false).error);
+    assert.ok(calculatePrice('2026-01-06', '2026-01-06', 'Deluxe Garden', 'EP', false).error);
+    assert.ok(calculatePrice('2026-01-05', '2026-01-06', 'Penthouse', 'EP', false).error);
+    assert.ok(calculatePrice('2026-01-05', '2026-01-06', 'Deluxe Garden', 'EP', false, { adults: 4, children: 0 }).error);
+    assert.ok(calculatePrice('2026-01-05', '2026-01-06', 'Deluxe Garden', 'EP', false, { adults: 2, children: 2 }).error);
+});
+
+test('calculatePrice prices the full resort by guest band', () => {
+    const group = guests => calculatePrice('2026-01-05', '2026-01-07', 'Full Resort', 'Included', true, { adults: guests, children: 0 });
+
+    assert.strictEqual(group(15).package.id, 'UPTO15');
+    assert.strictEqual(group(15).total, 2 * 45000);
+    assert.strictEqual(group(16).package.id, 'UPTO20');
+    assert.strictEqual(group(16).total, 2 * 50000);
+    assert.strictEqual(group(30).total, 2 * 60000);
+    assert.deepStrictEqual(group(16).items, [{ type: 'package', id: 'UPTO20', label: '16-20 guests package', quantity: 2, amount: 100000 }]);
+    assert.ok(group(31).error);
+});
+
+test('a season groupPercent scales each package by its own rate', () => {
+    withPricing({ seasons: [{ name: 'New Year', startDate: '2026-01-05', endDate: '2026-01-05', rooms: {}, groupPercent: 120 }] });
+    const group = guests => calculatePrice('2026-01-05', '2026-01-07', 'Full Resort', 'Included', true, { adults: guests, children: 0 });
+
+    assert.deepStrictEqual(group(15).breakdown.map(night => [night.rate, night.rateType]), [[54000, 'season'], [45000, 'base']]);
+    assert.strictEqual(group(16).breakdown[0].rate, 60000);
+    assert.strictEqual(group(26).breakdown[0].rate, 72000);
+});
+
+test('an override groupPercent beats the season on its date', () => {
+    withPricing({
+        seasons: [{ name: 'Winter', startDate: '2026-01-01', endDate: '2026-01-31', rooms: {}, groupPercent: 110 }],
+        overrides: [{ date: '2026-01-06', name: 'Festival', rooms: {}, groupPercent: 150 }]
+    });
+    const result = calculatePrice('2026-01-05', '2026-01-07', 'Full Resort', 'Included', true, { adults: 10, children: 0 });
+    assert.deepStrictEqual(result.breakdown.map(night => night.rate), [49500, 67500]);
+});
+
+test('group add-ons are priced per stay or per night and limited to their occasions', () => {
+    const options = (occasion, addOns) => calculatePrice('2026-01-05', '2026-01-07', 'Full Resort', 'Included', true, { adults: 12, children: 0 }, { occasion, addOns });
+
+    const birthday = options('birthday', ['cake', 'dj']);
+    assert.deepStrictEqual(birthday.items.slice(1).map(item => [item.id, item.quantity, item.amount]), [['cake', 1, 2500], ['dj', 2, 30000]]);
+    assert.strictEqual(birthday.total, 90000 + 2500 + 30000);
+    assert.strictEqual(birthday.occasion, 'birthday');
+
+    assert.ok(options('corporate', ['cake']).error);
+    assert.ok(options('birthday', ['fireworks']).error);
+    assert.ok(options('wedding', []).error);
+});
+
+test('priceStay adds up each room line and the bookable extras', () => {
+    const result = priceStay({
+        checkIn: '2026-01-05',
+        checkOut: '2026-01-07',
+        isGroupBooking: false,
+        lines: [room('Deluxe Garden'), room('Family Suite', 4)],
+        extras: [{ id: 'bonfire', quantity: 1 }, { id: 'rafting', quantity: 3, date: '2026-01-06' }]
+    });
+    assert.deepStrictEqual(result.lines.map(line => line.total), [3400, 5400]);
+    assert.deepStrictEqual(result.extras.map(extra => [extra.id, extra.dates.length, extra.amount]), [['bonfire', 2, 3000], ['rafting', 1, 3600]]);
+    assert.strictEqual(result.total, 3400 + 5400 + 3000 + 3600);
+    assert.strictEqual(result.roomType, '1× Deluxe Garden + 1× Family Suite');
+
+    const tooMany = priceStay({ checkIn: '2026-01-05', checkOut: '2026-01-07', isGroupBooking: false, lines: [room('Deluxe Garden')], extras: [{ id: 'rafting', quantity: 3 }] });
+    assert.ok(tooMany.error);
+});
+
+test('priceStay applies the best length-of-stay tier the stay reaches', () => {
+    withPricing({ lengthOfStayDiscounts: [{ minNights: 3, percent: 10 }, { minNights: 5, percent: 15 }] });
+    const stay = checkOut => priceStay({ checkIn: '2026-01-05', checkOut, isGroupBooking: false, lines: [room('Deluxe Garden')] });
+
+    assert.strictEqual(stay('2026-01-07').adjustments, undefined);
+
+    const three = stay('2026-01-08');
+    assert.strictEqual(three.subtotal, 5100);
+    assert.deepStrictEqual(three.adjustments, [{ type: 'lengthOfStay', label: '3+ nights (10% off)', amount: -510 }]);
+    assert.strictEqual(three.total, 4590);
+
+    // Mon-Fri: four weekday nights and one weekend night
+    const five = stay('2026-01-10');
+    assert.strictEqual(five.subtotal, 4 * 1700 + 2200);
+    assert.strictEqual(five.adjustments[0].label, '5+ nights (15% off)');
+    assert.strictEqual(five.total, 9000 - 1350);
+});
+
+test('applyTax charges each room-night at the slab for its tariff', () => {
+    withPricing({ overrides: [{ date: '2026-01-06', name: 'Low', rooms: { 'Deluxe Garden': { ep: 900, mapai: 1500 } } }] });
+    const result = applyTax(priceStay({ checkIn: '2026-01-05', checkOut: '2026-01-07', isGroupBooking: false, lines: [room('Deluxe Garden')] }));
+
+    assert.deepStrictEqual(result.taxLines.map(line => [line.tariff, line.rate, line.tax]), [[1700, 5, 85], [900, 0, 0]]);
+    assert.strictEqual(result.baseAmount, 2600);
+    assert.strictEqual(result.taxAmount, 85);
+    assert.strictEqual(result.total, 2685);
+    assert.deepStrictEqual(result.adjustments, [{ type: 'tax', label: 'GST @ 5%', rate: 5, amount: 85 }]);
+});
+
+test('applyTax splits the full resort across its rooms and taxes add-ons at the services rate', () => {
+    const result = applyTax(priceStay({ checkIn: '2026-01-05', checkOut: '2026-01-06', isGroupBooking: true, guests: 12, occasion: 'birthday', addOns: ['cake'] }));
+
+    assert.deepStrictEqual(result.taxLines.map(line => [line.taxableValue, line.rate, line.tax]), [[45000, 5, 2250], [2500, 18, 450]]);
+    assert.strictEqual(result.taxLines[0].tariff, 3750);
+    assert.strictEqual(result.total, 47500 + 2250 + 450);
+});
+
+test('applyTax taxes the price after discounts', () => {
+    withPricing({ lengthOfStayDiscounts: [{ minNights: 3, percent: 10 }] });
+    const result = applyTax(priceStay({ checkIn: '2026-01-05', checkOut: '2026-01-08', isGroupBooking: false, lines: [room('Deluxe Garden')] }));
+
+    assert.deepStrictEqual(result.taxLines.map(line => line.taxableValue), [1530, 1530, 1530]);
+    assert.strictEqual(result.baseAmount, 4590);
+    assert.strictEqual(result.taxAmount, result.taxLines.reduce((sum, line) => sum + line.tax, 0));
+    assert.strictEqual(result.total, 4590 + result.taxAmount);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { priceStay } = require('../lib/pricing');
+const { normalizePhone, getPromoUsage, checkPromoUsage, applyPromoCode } = require('../lib/promos');
+
+const promo = fields => ({ code: 'SAVE10', type: 'percent', value: 10, active: true, ...fields });
+const used = (promoCode, guestPhone, status = 'Confirmed') => ({ promoCode, guestPhone, status });
+const promoData = (promos, bookings = []) => ({ promos, bookings });
+
+const roomStay = { checkIn: '2030-01-07', checkOut: '2030-01-09', isGroupBooking: false, lines: [{ roomType: 'Deluxe Garden', mealPlan: 'EP', adults: 2, children: 0, guests: 2 }] };
+const roomQuote = () => priceStay(roomStay);
+
+test('normalizePhone keeps the last 10 digits', () => {
+    assert.strictEqual(normalizePhone('+91 98765-43210'), '9876543210');
+    assert.strictEqual(normalizePhone('9876543210'), '9876543210');
+    assert.strictEqual(normalizePhone(undefined), '');
+});
+
+test('cancelled and expired bookings give their promo use back', () => {
+    const data = promoData([], [used('SAVE10', '1'), used('SAVE10', '2', 'Cancelled'), used('SAVE10', '3', 'Expired'), used('OTHER', '4')]);
+    assert.deepStrictEqual(getPromoUsage(data, 'SAVE10').map(b => b.guestPhone), ['1']);
+});
+
+test('checkPromoUsage enforces the overall limit', () => {
+    const data = promoData([], [used('SAVE10', '9876543210'), used('SAVE10', '9123456780')]);
+    assert.strictEqual(checkPromoUsage(data, promo({ maxUses: 3 }), '9000000000'), null);
+    assert.deepStrictEqual(checkPromoUsage(data, promo({ maxUses: 2 }), '9000000000'), { error: 'SAVE10 has been fully redeemed' });
+    assert.strictEqual(checkPromoUsage(data, promo({}), '9000000000'), null);
+});
+
+test('checkPromoUsage enforces the per-phone limit however the number is written', () => {
+    const data = promoData([], [used('SAVE10', '+91 98765 43210')]);
+    const once = promo({ maxUsesPerPhone: 1 });
+    assert.deepStrictEqual(checkPromoUsage(data, once, '9876543210'), { error: 'SAVE10 has already been used with this phone number' });
+    assert.strictEqual(checkPromoUsage(data, once, '9123456780'), null);
+    // The price preview has no phone yet
+    assert.strictEqual(checkPromoUsage(data, once, undefined), null);
+});
+
+test('applyPromoCode adds a percent or flat discount line', () => {
+    const percent = applyPromoCode(promoData([promo({})]), ' save10 ', roomStay, roomQuote());
+    assert.strictEqual(percent.quote.promoCode, 'SAVE10');
+    assert.deepStrictEqual(percent.quote.adjustments, [{ type: 'promo', code: 'SAVE10', label: 'SAVE10 (10% off)', amount: -340 }]);
+    assert.strictEqual(percent.quote.total, 3060);
+
+    const flat = applyPromoCode(promoData([promo({ code: 'FLAT', type: 'flat', value: 5000 })]), 'FLAT', roomStay, roomQuote());
+    // A flat discount never takes the price below zero
+    assert.strictEqual(flat.quote.adjustments[0].amount, -3400);
+    assert.strictEqual(flat.quote.total, 0);
+});
+
+test('applyPromoCode refuses unknown, inactive and out-of-date codes', () => {
+    const error = (fields, code = 'SAVE10') => applyPromoCode(promoData([promo(fields)]), code, roomStay, roomQuote()).error;
+    assert.strictEqual(error({}, 'NOPE'), 'Promo code NOPE is not valid');
+    assert.strictEqual(error({ active: false }), 'Promo code SAVE10 is not valid');
+    assert.strictEqual(error({ validFrom: '2099-01-01' }), 'SAVE10 can be used from 2099-01-01');
+    assert.strictEqual(error({ validTo: '2000-01-01' }), 'SAVE10 has expired');
+});
+
+test('applyPromoCode checks the stay window, length and room types', () => {
+    const error = fields => applyPromoCode(promoData([promo(fields)]), 'SAVE10', roomStay, roomQuote()).error;
+    // The last night (Jan 8) must fall inside the stay window, not check-out day
+    assert.strictEqual(error({ stayTo: '2030-01-08' }), undefined);
+    assert.strictEqual(error({ stayTo: '2030-01-07' }), 'SAVE10 is only valid for stays until 2030-01-07');
+    assert.strictEqual(error({ stayFrom: '2030-01-08' }), 'SAVE10 is only valid for stays from 2030-01-08');
+    assert.strictEqual(error({ minNights: 3 }), 'SAVE10 needs a stay of at least 3 nights');
+    assert.strictEqual(error({ roomTypes: ['Family Suite'] }), 'SAVE10 is only valid for Family Suite');
+    assert.strictEqual(error({ roomTypes: ['Deluxe Garden'] }), undefined);
+});
+
+test('applyPromoCode refuses a code with no uses left', () => {
+    const data = promoData([promo({ maxUses: 1 })], [used('SAVE10', '9876543210')]);
+    assert.strictEqual(applyPromoCode(data, 'SAVE10', roomStay, roomQuote(), '9123456780').error, 'SAVE10 has been fully redeemed');
+
+    data.bookings[0].status = 'Cancelled';
+    assert.ok(applyPromoCode(data, 'SAVE10', roomStay, roomQuote(), '9123456780').quote);
+});